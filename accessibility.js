@@ -0,0 +1,114 @@
+/**
+ * Xflow AI Hackathon 2026 - Accessibility
+ *
+ * MotionPreference: Whether the page may animate. Starts from
+ * prefers-reduced-motion; the visitor's pause/play choice overrides it and
+ * is remembered. While still, engines draw static frames (performance.js),
+ * text effects jump to their end (text-effects.js) and the reveal mask
+ * neither sweeps nor trails (reveal.js). Toggles .motion-still on <html>.
+ * bindMotionToggle: Wires a button to pause and play the animations
+ * labelASCIILayer: Names an ASCII layer as a picture instead of its glyphs
+ */
+
+const MOTION_STORAGE_KEY = 'xflow-motion';
+
+// ===== MOTION PREFERENCE =====
+// Events: 'change' { still }
+class MotionPreference extends EventTarget {
+    static get() {
+        if (!MotionPreference.instance) {
+            MotionPreference.instance = new MotionPreference();
+        }
+        return MotionPreference.instance;
+    }
+
+    constructor() {
+        super();
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.reduced = !!(this.query && this.query.matches);
+        this.choice = MotionPreference.readChoice(); // 'paused', 'playing' or null (follow the system)
+
+        if (this.query) {
+            this.query.addEventListener('change', (e) => {
+                const wasStill = this.still;
+                this.reduced = e.matches;
+                if (this.still !== wasStill) this.changed();
+            });
+        }
+        this.applyClass();
+    }
+
+    static readChoice() {
+        try {
+            return localStorage.getItem(MOTION_STORAGE_KEY);
+        } catch (error) {
+            return null; // Storage blocked (private mode, sandboxed frame)
+        }
+    }
+
+    get still() {
+        if (this.choice === 'paused') return true;
+        if (this.choice === 'playing') return false;
+        return this.reduced;
+    }
+
+    setPaused(paused) {
+        if (paused === this.still) return;
+        this.choice = paused ? 'paused' : 'playing';
+        try {
+            localStorage.setItem(MOTION_STORAGE_KEY, this.choice);
+        } catch (error) {
+            // Not remembered, still applies to this visit
+        }
+        this.changed();
+    }
+
+    toggle() {
+        this.setPaused(!this.still);
+    }
+
+    changed() {
+        this.applyClass();
+        this.dispatchEvent(new CustomEvent('change', { detail: { still: this.still } }));
+    }
+
+    applyClass() {
+        document.documentElement.classList.toggle('motion-still', this.still);
+    }
+}
+
+// ===== PAUSE / PLAY CONTROL =====
+// The label says what a click will do (no aria-pressed, which would be read
+// out against it as "Play animations, pressed")
+function bindMotionToggle(button) {
+    const motion = MotionPreference.get();
+    const label = button.querySelector('.motion-toggle-label') || button;
+
+    const render = () => {
+        label.textContent = motion.still ? 'Play animations' : 'Pause animations';
+    };
+
+    button.addEventListener('click', () => motion.toggle());
+    motion.addEventListener('change', render);
+    render();
+}
+
+// ===== ASCII LAYERS =====
+// To a screen reader the ASCII text is thousands of currency glyphs, so the
+// layer itself becomes a named image (its glyphs are then not read out).
+// The layer holds no controls, unlike the section or hero it sits in, which
+// may be focusable for the keyboard (see interaction.js). Returns a function
+// that undoes it.
+function labelASCIILayer(layer, label) {
+    layer.setAttribute('role', 'img');
+    layer.setAttribute('aria-label', label);
+    return () => {
+        layer.removeAttribute('role');
+        layer.removeAttribute('aria-label');
+    };
+}
+
+// 'obj files/Xflow_horizontal.xfm' -> 'ASCII art of Xflow horizontal'
+function defaultASCIILabel(modelPath) {
+    return `ASCII art of ${modelName(modelPath).replace(/[_-]+/g, ' ')}`;
+}
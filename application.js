@@ -0,0 +1,411 @@
+/**
+ * Xflow AI Hackathon 2026 - Team Application
+ *
+ * ApplicationForm: The in-page team application (an "application" block in
+ * the event file, see event.js). Checks the team rules as the team is
+ * filled in, keeps a draft in localStorage and POSTs the application as
+ * JSON to the block's endpoint (node tools/mock-server.js stands in locally).
+ * validateApplication: The rules on their own, shared with the mock server
+ */
+
+const APPLICATION_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const APPLICATION_TIMEOUT = 15000;
+
+// ===== RULES =====
+// application: { teamName, track, idea, members: [{ name, email, function }], requests }
+// config: the event file's application block
+// -> { valid, rules: [{ id, label, ok }], problems: [{ field, message }] }
+// Fields: 'teamName', 'track', 'members', 'members.<i>.<name|email|function>'.
+// Blank members (an unused row) are skipped but keep their place in the numbering.
+function validateApplication(application, config) {
+    const { team, tracks } = config;
+    const business = team.business;
+    const members = (Array.isArray(application.members) ? application.members : []).map(member => member || {});
+    const problems = [];
+
+    if (!String(application.teamName || '').trim()) {
+        problems.push({ field: 'teamName', message: 'Give your team a name' });
+    }
+    if (!tracks.includes(application.track)) {
+        problems.push({ field: 'track', message: 'Pick a track' });
+    }
+
+    const emails = new Set();
+    const filled = members.filter(member => !isBlankMember(member));
+    members.forEach((member, i) => {
+        if (isBlankMember(member)) return;
+        const at = `members.${i}`;
+        const label = `Member ${i + 1}`;
+        if (!String(member.name || '').trim()) {
+            problems.push({ field: `${at}.name`, message: `${label}: name is missing` });
+        }
+
+        const email = String(member.email || '').trim().toLowerCase();
+        if (!APPLICATION_EMAIL_PATTERN.test(email)) {
+            problems.push({ field: `${at}.email`, message: `${label}: enter a work email` });
+        } else if (emails.has(email)) {
+            problems.push({ field: `${at}.email`, message: `${label}: this email is already on the team` });
+        }
+        emails.add(email);
+
+        if (!team.functions.includes(member.function) && !business.functions.includes(member.function)) {
+            problems.push({ field: `${at}.function`, message: `${label}: pick a function` });
+        }
+    });
+
+    const businessCount = filled.filter(member => business.functions.includes(member.function)).length;
+    const rules = [
+        {
+            id: 'size',
+            label: `${team.min}–${team.max} members (${filled.length} so far)`,
+            ok: filled.length >= team.min && filled.length <= team.max
+        },
+        {
+            id: 'business',
+            label: `At least ${business.min} business members (${businessCount} so far)`,
+            ok: businessCount >= business.min
+        }
+    ];
+    rules.forEach((rule) => {
+        if (!rule.ok) problems.push({ field: 'members', message: `Team rule: ${rule.label}` });
+    });
+
+    return { valid: problems.length === 0, rules, problems };
+}
+
+function isBlankMember(member) {
+    return !String(member.name || '').trim() && !String(member.email || '').trim() && !member.function;
+}
+
+// ===== FORM =====
+// Builds its own markup; `element` is the <form> to put on the page
+class ApplicationForm {
+    // config: the application block; eventName: keeps drafts apart per event
+    constructor(config, eventName) {
+        this.config = config;
+        this.draftKey = `xflow-application:${eventName}`;
+        this.touched = new Set(); // Fields the visitor has left, so their problems show
+        this.showAll = false;     // After the first submit every problem shows
+        this.sending = false;
+        this.saveTimer = null;
+
+        this.build();
+        this.restoreDraft();
+        this.check();
+    }
+
+    // ===== MARKUP =====
+    build() {
+        const { team, tracks } = this.config;
+        this.element = createElement('form', 'application-form');
+        this.element.noValidate = true; // Our own messages, checked live
+
+        this.teamName = this.addField('Team name', createElement('input'), 'teamName');
+        this.teamName.maxLength = 60;
+
+        const trackSet = createElement('fieldset', 'application-tracks');
+        trackSet.appendChild(createElement('legend', null, 'Track'));
+        this.trackInputs = tracks.map((track) => {
+            const choice = createElement('label', 'application-choice');
+            const input = createElement('input');
+            input.type = 'radio';
+            input.name = 'track';
+            input.value = track;
+            choice.append(input, createElement('span', null, track));
+            trackSet.appendChild(choice);
+            return input;
+        });
+        trackSet.dataset.field = 'track';
+        this.element.appendChild(trackSet);
+
+        this.idea = this.addField('Your idea in a line (optional)', createElement('input'), 'idea');
+        this.idea.maxLength = 200;
+
+        const memberSet = createElement('fieldset', 'application-members');
+        memberSet.dataset.field = 'members';
+        memberSet.appendChild(createElement('legend', null, `Team (${team.min}–${team.max} members)`));
+        this.memberList = createElement('ol', 'application-member-list');
+        memberSet.appendChild(this.memberList);
+        this.addButton = createElement('button', 'application-button', '+ Add member');
+        this.addButton.type = 'button';
+        this.addButton.addEventListener('click', () => {
+            const row = this.addMember();
+            row.querySelector('input').focus();
+            this.changed();
+        });
+        memberSet.appendChild(this.addButton);
+        this.element.appendChild(memberSet);
+
+        this.requests = this.addField('Dataset and tool requests', createElement('textarea'), 'requests');
+        this.requests.rows = 3;
+        this.requests.placeholder = 'One per line. Internal datasets are subject to approval.';
+
+        // Read out as they change
+        this.rulesList = createElement('ul', 'application-rules');
+        this.rulesList.setAttribute('aria-live', 'polite');
+        this.element.appendChild(this.rulesList);
+        this.problemList = createElement('ul', 'application-problems');
+        this.element.appendChild(this.problemList);
+        this.status = createElement('p', 'application-status');
+        this.status.setAttribute('role', 'status');
+        this.element.appendChild(this.status);
+        this.draftNote = createElement('p', 'application-draft'); // Not live: it changes as you type
+        this.element.appendChild(this.draftNote);
+
+        const actions = createElement('div', 'application-actions');
+        this.submitButton = createElement('button', 'apply-btn', 'Submit application');
+        this.submitButton.type = 'submit';
+        const clear = createElement('button', 'application-button', 'Clear form');
+        clear.type = 'button';
+        clear.addEventListener('click', () => this.clear());
+        actions.append(this.submitButton, clear);
+        this.element.appendChild(actions);
+
+        this.element.addEventListener('input', () => this.changed());
+        this.element.addEventListener('change', () => this.changed());
+        this.element.addEventListener('focusout', (e) => {
+            if (!e.target.name) return;
+            this.touched.add(e.target.name);
+            this.check();
+        });
+        this.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+
+    addField(labelText, control, name) {
+        const field = createElement('div', 'application-field');
+        const id = `application-${name}`;
+        const label = createElement('label', null, labelText);
+        label.htmlFor = id;
+        control.id = id;
+        control.name = name;
+        field.dataset.field = name;
+        field.append(label, control);
+        this.element.appendChild(field);
+        return control;
+    }
+
+    // One row of name / email / function; business functions grouped apart
+    addMember(member = {}) {
+        const { team } = this.config;
+        const row = createElement('li', 'application-member');
+
+        const input = (key, type, placeholder) => {
+            const control = createElement('input');
+            control.type = type;
+            control.placeholder = placeholder;
+            control.value = member[key] || '';
+            row.appendChild(control);
+            return control;
+        };
+        input('name', 'text', 'Name');
+        input('email', 'email', 'Work email');
+
+        const select = createElement('select');
+        select.appendChild(createElement('option', null, 'Function'));
+        select.options[0].value = '';
+        const groups = [['Tech & product', team.functions], ['Business', team.business.functions]];
+        groups.forEach(([label, functions]) => {
+            const group = createElement('optgroup');
+            group.label = label;
+            functions.forEach(name => group.appendChild(createElement('option', null, name)));
+            select.appendChild(group);
+        });
+        select.value = member.function || '';
+        row.appendChild(select);
+
+        const remove = createElement('button', 'application-remove', '×');
+        remove.type = 'button';
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.numberMembers();
+            this.changed();
+        });
+        row.appendChild(remove);
+
+        this.memberList.appendChild(row);
+        this.numberMembers();
+        return row;
+    }
+
+    // Names (for touched / aria-invalid) and labels follow the row's position
+    numberMembers() {
+        const rows = Array.from(this.memberList.children);
+        rows.forEach((row, i) => {
+            const [name, email, role, remove] = row.children;
+            [['name', name], ['email', email], ['function', role]].forEach(([key, control]) => {
+                control.name = `members.${i}.${key}`;
+                control.setAttribute('aria-label', `Member ${i + 1} ${key}`);
+            });
+            remove.setAttribute('aria-label', `Remove member ${i + 1}`);
+            remove.hidden = rows.length <= 1;
+        });
+        this.addButton.hidden = rows.length >= this.config.team.max;
+    }
+
+    // ===== STATE =====
+    // Every row, blank ones included (see validateApplication)
+    read() {
+        const members = Array.from(this.memberList.children).map((row) => {
+            const [name, email, role] = row.children;
+            return { name: name.value.trim(), email: email.value.trim(), function: role.value };
+        });
+        const track = this.trackInputs.find(input => input.checked);
+
+        return {
+            teamName: this.teamName.value.trim(),
+            track: track ? track.value : '',
+            idea: this.idea.value.trim(),
+            members,
+            requests: this.requests.value.trim()
+        };
+    }
+
+    fill(application) {
+        this.teamName.value = application.teamName || '';
+        this.trackInputs.forEach((input) => {
+            input.checked = input.value === application.track;
+        });
+        this.idea.value = application.idea || '';
+        this.requests.value = application.requests || '';
+
+        this.memberList.textContent = '';
+        const members = application.members || [];
+        const rows = Math.max(members.length, this.config.team.min);
+        for (let i = 0; i < rows; i++) this.addMember(members[i]);
+    }
+
+    changed() {
+        this.check();
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveDraft(), 300);
+    }
+
+    // Rules always show; field problems once the field was left or on submit
+    check() {
+        const result = validateApplication(this.read(), this.config);
+
+        // Rebuilt only when it reads differently, so it isn't announced on every key
+        const rulesText = result.rules.map(rule => `${rule.ok}${rule.label}`).join('\n');
+        if (rulesText !== this.rulesText) {
+            this.rulesText = rulesText;
+            this.rulesList.textContent = '';
+            result.rules.forEach((rule) => {
+                const item = createElement('li', rule.ok ? 'is-met' : 'is-unmet', rule.label);
+                this.rulesList.appendChild(item);
+            });
+        }
+
+        const shown = result.problems.filter(problem =>
+            problem.field !== 'members' && (this.showAll || this.touched.has(problem.field)));
+        this.problemList.textContent = '';
+        shown.forEach(problem => this.problemList.appendChild(createElement('li', null, problem.message)));
+
+        const invalid = new Set(shown.map(problem => problem.field));
+        this.element.querySelectorAll('[name]').forEach((control) => {
+            if (invalid.has(control.name)) control.setAttribute('aria-invalid', 'true');
+            else control.removeAttribute('aria-invalid');
+        });
+        return result;
+    }
+
+    // ===== DRAFTS =====
+    saveDraft() {
+        try {
+            localStorage.setItem(this.draftKey, JSON.stringify(this.read()));
+            this.draftNote.textContent = 'Draft saved in this browser';
+        } catch (error) {
+            // Storage full or blocked: the form still works, just without drafts
+        }
+    }
+
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.draftKey));
+        } catch (error) {
+            draft = null;
+        }
+        this.fill(draft || {});
+        if (draft) this.draftNote.textContent = 'Picked up your saved draft';
+    }
+
+    clear() {
+        clearTimeout(this.saveTimer);
+        try {
+            localStorage.removeItem(this.draftKey);
+        } catch (error) {
+            // Nothing was stored
+        }
+        this.touched.clear();
+        this.showAll = false;
+        this.fill({});
+        this.check();
+        this.setStatus('');
+        this.draftNote.textContent = '';
+    }
+
+    setStatus(text, state = '') {
+        this.status.textContent = text;
+        this.status.dataset.state = state;
+    }
+
+    // ===== SUBMIT =====
+    submit() {
+        if (this.sending) return;
+        this.showAll = true;
+        const result = this.check();
+        if (!result.valid) {
+            this.setStatus('Not sent yet: fix the points above', 'error');
+            const first = this.element.querySelector('[aria-invalid="true"]');
+            if (first) first.focus();
+            return;
+        }
+
+        const form = this.read();
+        const application = {
+            ...form,
+            members: form.members.filter(member => !isBlankMember(member)),
+            submittedAt: new Date().toISOString()
+        };
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), APPLICATION_TIMEOUT);
+        this.sending = true;
+        this.submitButton.disabled = true;
+        this.setStatus('Sending...');
+
+        fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(application),
+            signal: controller.signal
+        })
+            .then(response => response.json().catch(() => ({})).then((body) => {
+                if (!response.ok) {
+                    const problems = (body.problems || []).map(problem => problem.message || problem);
+                    throw new Error(problems.length > 0 ? problems.join('; ') : `HTTP ${response.status}`);
+                }
+                return body;
+            }))
+            .then((body) => {
+                this.clear();
+                this.setStatus(body.id ? `Application received. Reference: ${body.id}` : 'Application received', 'sent');
+            })
+            .catch((error) => {
+                const reason = error.name === 'AbortError' ? 'the server took too long' : error.message;
+                this.setStatus(`Could not send (${reason}). Your draft is kept, try again.`, 'error');
+            })
+            .then(() => {
+                clearTimeout(timer);
+                this.sending = false;
+                this.submitButton.disabled = false;
+            });
+    }
+}
+
+// The mock server checks submissions with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateApplication };
+}
@@ -0,0 +1,250 @@
+/**
+ * Xflow AI Hackathon 2026 - ASCII Outputs
+ *
+ * ASCIITextOutput: Writes frames as text into a DOM element (the original output)
+ * ASCIICanvasOutput: Draws frames onto a <canvas> from a pre-rasterized glyph atlas
+ * calibrateRamp: Orders a character set by measured ink coverage in the page font
+ */
+
+// ===== TEXT OUTPUT =====
+class ASCIITextOutput {
+    constructor(element, glyphs) {
+        this.element = element;
+        this.setGlyphs(glyphs);
+    }
+
+    setGlyphs(glyphs) {
+        this.glyphs = glyphs.map(ASCIITextOutput.escape);
+    }
+
+    // Cells follow the element's CSS font, nothing to redraw
+    setCellSize() { }
+
+    static escape(glyph) {
+        return glyph.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    draw(frame) {
+        if (frame.colors) {
+            this.element.innerHTML = this.toHTML(frame);
+            return;
+        }
+
+        // textContent skips the layout read innerText needs (white-space: pre keeps the lines)
+        this.element.textContent = frame.text;
+    }
+
+    // One span per run of same-colored cells. Unquantized colors give close
+    // to a span per cell, so prefer palette/colorLevels or the canvas output.
+    toHTML(frame) {
+        const { cols, rows, indices, colors } = frame;
+        const parts = [];
+        let run = '';
+        let runColor = -1;
+
+        for (let y = 0, i = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++, i++) {
+                const color = (colors[i * 3] << 16) | (colors[i * 3 + 1] << 8) | colors[i * 3 + 2];
+                if (color !== runColor) {
+                    if (run) parts.push(ASCIITextOutput.span(runColor, run));
+                    run = '';
+                    runColor = color;
+                }
+                run += this.glyphs[indices[i]];
+            }
+            run += '\n';
+        }
+        if (run) parts.push(ASCIITextOutput.span(runColor, run));
+
+        return parts.join('');
+    }
+
+    static span(color, text) {
+        return `<span style="color:#${color.toString(16).padStart(6, '0')}">${text}</span>`;
+    }
+}
+
+// ===== CANVAS OUTPUT =====
+// Rewriting thousands of characters of text forces layout on every frame.
+// Instead, every glyph is rasterized once into an atlas and frames are
+// stamped from it with drawImage. The canvas lives inside the original
+// element, so its CSS (centering, radial mask reveal) still applies.
+class ASCIICanvasOutput {
+    constructor(element, glyphs, charWidth, charHeight) {
+        this.element = element;
+        this.glyphs = glyphs;
+        this.charWidth = charWidth;
+        this.charHeight = charHeight;
+        this.cols = 0;
+        this.rows = 0;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'ascii-output-canvas';
+        this.ctx = this.canvas.getContext('2d');
+        this.element.textContent = '';
+        this.element.appendChild(this.canvas);
+
+        this.atlas = document.createElement('canvas');
+        this.colorCanvas = document.createElement('canvas'); // Per-cell colors (color mode)
+        this.buildAtlas();
+
+        // The first atlas may use the fallback font; redraw once IBM Plex Mono is in
+        if (document.fonts) {
+            document.fonts.ready.then(() => this.buildAtlas());
+        }
+    }
+
+    setGlyphs(glyphs) {
+        this.glyphs = glyphs;
+        this.buildAtlas();
+    }
+
+    setCellSize(charWidth, charHeight) {
+        this.charWidth = charWidth;
+        this.charHeight = charHeight;
+        this.buildAtlas();
+    }
+
+    buildAtlas() {
+        const style = getComputedStyle(this.element);
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.cellWidth = Math.ceil(this.charWidth * this.pixelRatio);
+        this.cellHeight = Math.ceil(this.charHeight * this.pixelRatio);
+
+        this.atlas.width = this.cellWidth * this.glyphs.length;
+        this.atlas.height = this.cellHeight;
+
+        // Font and color come from the element, same as the text output
+        const ctx = this.atlas.getContext('2d');
+        ctx.clearRect(0, 0, this.atlas.width, this.atlas.height);
+        ctx.font = `${style.fontWeight} ${parseFloat(style.fontSize) * this.pixelRatio}px ${style.fontFamily}`;
+        ctx.fillStyle = style.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.glyphs.forEach((glyph, i) => {
+            ctx.fillText(glyph, (i + 0.5) * this.cellWidth, this.cellHeight / 2);
+        });
+
+        this.blank = this.glyphs.map(glyph => glyph.trim() === '');
+
+        // Force a resize so the canvas picks up a new pixel ratio
+        const cols = this.cols;
+        const rows = this.rows;
+        this.cols = 0;
+        this.resize(cols, rows);
+    }
+
+    resize(cols, rows) {
+        if (cols === this.cols && rows === this.rows) return;
+
+        this.cols = cols;
+        this.rows = rows;
+        this.canvas.width = Math.round(cols * this.charWidth * this.pixelRatio);
+        this.canvas.height = Math.round(rows * this.charHeight * this.pixelRatio);
+        this.canvas.style.width = `${cols * this.charWidth}px`;
+        this.canvas.style.height = `${rows * this.charHeight}px`;
+    }
+
+    draw(frame) {
+        this.resize(frame.cols, frame.rows);
+
+        const ctx = this.ctx;
+        const indices = frame.indices;
+        const stepX = this.charWidth * this.pixelRatio;
+        const stepY = this.charHeight * this.pixelRatio;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        for (let y = 0, i = 0; y < frame.rows; y++) {
+            // Round to whole device pixels so neighbouring cells don't blur
+            const dy = Math.round(y * stepY);
+            for (let x = 0; x < frame.cols; x++, i++) {
+                const glyph = indices[i];
+                if (this.blank[glyph]) continue;
+
+                ctx.drawImage(
+                    this.atlas, glyph * this.cellWidth, 0, this.cellWidth, this.cellHeight,
+                    Math.round(x * stepX), dy, this.cellWidth, this.cellHeight
+                );
+            }
+        }
+
+        if (frame.colors) {
+            this.drawColors(frame);
+        }
+    }
+
+    // Recolor the stamped glyphs: paint a cols x rows color image scaled up
+    // to cell size, kept only where glyph pixels are (source-in)
+    drawColors(frame) {
+        const { cols, rows, colors } = frame;
+        if (this.colorCanvas.width !== cols || this.colorCanvas.height !== rows) {
+            this.colorCanvas.width = cols;
+            this.colorCanvas.height = rows;
+        }
+
+        const colorCtx = this.colorCanvas.getContext('2d');
+        const image = colorCtx.createImageData(cols, rows);
+        for (let i = 0, o = 0; i < cols * rows; i++, o += 3) {
+            image.data[i * 4] = colors[o];
+            image.data[i * 4 + 1] = colors[o + 1];
+            image.data[i * 4 + 2] = colors[o + 2];
+            image.data[i * 4 + 3] = 255;
+        }
+        colorCtx.putImageData(image, 0, 0);
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.colorCanvas, 0, 0, this.canvas.width, this.canvas.height);
+        ctx.restore();
+    }
+}
+
+// ===== GLYPH CALIBRATION =====
+// Hand-ordered ramps only look right in the font they were tuned for. This
+// rasterizes each character in the element's actual font and sorts the set
+// by ink coverage (least ink = darkest cell on our dark background).
+// Resolves once the web font has loaded.
+function calibrateRamp(chars, element) {
+    const style = getComputedStyle(element);
+    const size = 48;
+    const font = `${style.fontWeight} ${size}px ${style.fontFamily}`;
+    const loaded = document.fonts ? document.fonts.load(font, chars) : Promise.resolve();
+
+    return loaded.then(() => {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const coverage = new Map();
+        Array.from(chars).forEach((glyph) => {
+            ctx.clearRect(0, 0, size, size);
+            ctx.fillText(glyph, size / 2, size / 2);
+
+            const data = ctx.getImageData(0, 0, size, size).data;
+            let ink = 0;
+            for (let i = 3; i < data.length; i += 4) ink += data[i];
+            coverage.set(glyph, ink);
+        });
+
+        // Array sort is stable, so equal-coverage characters keep their given order
+        return Array.from(new Set(chars))
+            .sort((a, b) => coverage.get(a) - coverage.get(b))
+            .join('');
+    });
+}
+
+// mode: 'text' (default) or 'canvas'
+function createASCIIOutput(mode, element, glyphs, charWidth, charHeight) {
+    if (mode === 'canvas') {
+        return new ASCIICanvasOutput(element, glyphs, charWidth, charHeight);
+    }
+    return new ASCIITextOutput(element, glyphs);
+}
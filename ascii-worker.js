@@ -0,0 +1,52 @@
+/**
+ * Xflow AI Hackathon 2026 - ASCII Worker
+ *
+ * Reads downsampled frames posted by ASCIIPipeline and returns their glyph grid.
+ */
+
+importScripts('ascii.js');
+
+let converter = new ASCIIConverter();
+let wantText = true;
+let canvas = null;
+let ctx = null;
+
+function readBitmap(bitmap, cols, rows) {
+    if (!canvas) {
+        canvas = new OffscreenCanvas(cols, rows);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (canvas.width !== cols || canvas.height !== rows) {
+        canvas.width = cols;
+        canvas.height = rows;
+    }
+
+    ctx.clearRect(0, 0, cols, rows);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return ctx.getImageData(0, 0, cols, rows).data;
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    if (msg.type === 'configure') {
+        converter = new ASCIIConverter(msg.options);
+        wantText = msg.options.text !== false;
+        return;
+    }
+
+    if (msg.type === 'frame') {
+        const data = msg.bitmap
+            ? readBitmap(msg.bitmap, msg.cols, msg.rows)
+            : new Uint8ClampedArray(msg.pixels);
+
+        const indices = converter.map(data, msg.cols, msg.rows);
+        const colors = converter.color ? converter.mapColors(data, msg.cols, msg.rows) : null;
+        const text = wantText ? converter.toText(indices, msg.cols, msg.rows) : null;
+
+        const transfer = colors ? [indices.buffer, colors.buffer] : [indices.buffer];
+        self.postMessage({ id: msg.id, cols: msg.cols, rows: msg.rows, indices, colors, text }, transfer);
+    }
+};
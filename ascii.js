@@ -0,0 +1,539 @@
+/**
+ * Xflow AI Hackathon 2026 - ASCII Conversion
+ *
+ * ASCIIConverter: Pixels -> glyph grid/text (shared by the engines and the worker)
+ * ASCIIPipeline: Runs conversions in a Web Worker, falling back to the main thread
+ */
+
+// ===== ASCII CONVERTER =====
+const FIXED_LEVELS = [0.15, 0.15 + 1 / 3.0]; // The original (brightness - 0.15) * 3.0
+const MIN_LEVELS_RANGE = 0.1;
+
+// Frames are grids of glyph indices into `glyphs`; text is only assembled
+// for outputs that need it.
+//
+// Brightness is stretched to the ramp by options.levels: 'fixed' (default)
+// is the original (brightness - 0.15) * 3 stretch; 'auto' tracks the frame
+// histogram, eased over frames by levelsSmoothing (0 = off); [low, high]
+// pins explicit 0-1 bounds. Auto-levels suit matte models: on glossy ones
+// the highlights take the top of the range and the rest sinks to the
+// darkest glyph, which sections also use for their background.
+//
+// options.strategy picks how cell brightness becomes glyphs (see
+// ASCIIConverter.strategies below): 'luminance' (default), 'edge', 'bayer'
+// or 'floyd-steinberg'.
+//
+// Color mode (options.color) also keeps an RGB triple per cell:
+//   palette: ['#hex', ...] -> snap to the nearest palette color
+//   colorLevels: n         -> quantize each channel to n levels
+//   tint: '#hex'           -> brand color scaled by cell brightness
+class ASCIIConverter {
+    constructor(options = {}) {
+        this.chars = options.chars || ".:*₹€£$";
+        this.alphaThreshold = options.alphaThreshold || 0; // Pixels below this alpha are background
+        this.backgroundChar = options.backgroundChar || this.chars[0];
+        this.levels = options.levels || 'fixed';
+        // Share of the opaque cells ignored at the dark and bright ends: the top
+        // clips more, so a few specular highlights don't set the whole range
+        const clip = options.levelsClip !== undefined ? options.levelsClip : [0.01, 0.05];
+        this.levelsClip = Array.isArray(clip) ? clip : [clip, clip];
+        this.levelsSmoothing = options.levelsSmoothing !== undefined ? options.levelsSmoothing : 0.85;
+        this.strategy = options.strategy || 'luminance';
+        this.edgeThreshold = options.edgeThreshold || 0.6; // Sobel magnitude on 0-1 brightness
+        this.edgeChars = options.edgeChars || "|/-\\_"; // Vertical, rising, top, falling, bottom
+
+        this.color = !!options.color;
+        this.palette = options.palette ? options.palette.map(ASCIIConverter.parseColor) : null;
+        this.colorLevels = options.colorLevels || 0;
+        this.tint = options.tint ? ASCIIConverter.parseColor(options.tint) : null;
+        this.baseColor = ASCIIConverter.parseColor(options.baseColor || '#FEFEFE'); // Background cells
+
+        this.glyphs = Array.from(this.chars);
+        if (!this.glyphs.includes(this.backgroundChar)) {
+            this.glyphs.push(this.backgroundChar);
+        }
+        this.edgeIndices = Array.from(this.edgeChars, (glyph) => {
+            if (!this.glyphs.includes(glyph)) this.glyphs.push(glyph);
+            return this.glyphs.indexOf(glyph);
+        });
+        this.glyphCodes = Uint16Array.from(this.glyphs, glyph => glyph.charCodeAt(0));
+        this.backgroundIndex = this.glyphs.indexOf(this.backgroundChar);
+
+        this.lookup = new Uint8Array(256);
+        this.brightness = new Float32Array(256);
+        this.hasLevels = false; // Auto-levels seen a frame yet
+        if (Array.isArray(this.levels)) {
+            this.buildLookup(this.levels[0], this.levels[1]);
+        } else {
+            // Also the starting point for 'auto' until a frame has content
+            this.buildLookup(FIXED_LEVELS[0], FIXED_LEVELS[1]);
+        }
+    }
+
+    // Precompute luminance (0-255) -> glyph index, contrast stretch included
+    buildLookup(low, high) {
+        this.levelLow = low;
+        this.levelHigh = high;
+
+        for (let i = 0; i < 256; i++) {
+            // Contrast stretching: Map low-high to 0.0-1.0 to use full ramp
+            let brightness = (i / 255 - low) / (high - low);
+            brightness = Math.max(0, Math.min(1, brightness));
+
+            this.brightness[i] = brightness;
+            this.lookup[i] = Math.min(this.chars.length - 1, Math.floor(brightness * (this.chars.length - 1)));
+        }
+    }
+
+    // Auto-levels: stretch between the histogram's clipped ends, ignoring
+    // background cells, and ease toward them so frames don't flicker
+    updateLevels(luma, data) {
+        const histogram = new Uint32Array(256);
+        let count = 0;
+        for (let i = 0, p = 3; i < luma.length; i++, p += 4) {
+            if (data[p] >= this.alphaThreshold) {
+                histogram[luma[i]]++;
+                count++;
+            }
+        }
+        if (count === 0) return;
+
+        const clipLow = count * this.levelsClip[0];
+        const clipHigh = count * this.levelsClip[1];
+        let low = 0;
+        let high = 255;
+        for (let seen = 0; low < 255 && seen + histogram[low] <= clipLow; low++) seen += histogram[low];
+        for (let seen = 0; high > 0 && seen + histogram[high] <= clipHigh; high--) seen += histogram[high];
+
+        low /= 255;
+        high /= 255;
+
+        // A near-flat frame would otherwise spread noise over the whole ramp
+        if (high - low < MIN_LEVELS_RANGE) {
+            const mid = (low + high) / 2;
+            low = Math.max(0, Math.min(1 - MIN_LEVELS_RANGE, mid - MIN_LEVELS_RANGE / 2));
+            high = low + MIN_LEVELS_RANGE;
+        }
+
+        if (this.hasLevels) {
+            const keep = this.levelsSmoothing;
+            low = this.levelLow * keep + low * (1 - keep);
+            high = this.levelHigh * keep + high * (1 - keep);
+        }
+        this.hasLevels = true;
+        this.buildLookup(low, high);
+    }
+
+    // data: RGBA pixels of a cols x rows image -> glyph index per cell
+    map(data, cols, rows) {
+        const luma = new Uint8Array(cols * rows);
+        for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+            // Integer Rec. 601 luma (weights sum to 256)
+            luma[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+        }
+
+        if (this.levels === 'auto') {
+            this.updateLevels(luma, data);
+        }
+
+        const strategy = ASCIIConverter.strategies[this.strategy] || ASCIIConverter.strategies.luminance;
+        const indices = strategy(this, luma, cols, rows);
+
+        if (this.alphaThreshold > 0) {
+            for (let i = 0, p = 3; i < indices.length; i++, p += 4) {
+                if (data[p] < this.alphaThreshold) indices[i] = this.backgroundIndex;
+            }
+        }
+
+        return indices;
+    }
+
+    // data: same pixels as map() -> RGB triple per cell (color mode only)
+    mapColors(data, cols, rows) {
+        const colors = new Uint8Array(cols * rows * 3);
+        const rgb = [0, 0, 0];
+
+        for (let i = 0, p = 0, o = 0; i < cols * rows; i++, p += 4, o += 3) {
+            if (data[p + 3] < this.alphaThreshold) {
+                colors.set(this.baseColor, o);
+                continue;
+            }
+
+            rgb[0] = data[p];
+            rgb[1] = data[p + 1];
+            rgb[2] = data[p + 2];
+            this.shade(rgb);
+            colors[o] = rgb[0];
+            colors[o + 1] = rgb[1];
+            colors[o + 2] = rgb[2];
+        }
+
+        return colors;
+    }
+
+    // Apply tint / quantization / palette to one sampled color, in place
+    shade(rgb) {
+        if (this.tint) {
+            // Keep a floor so the darkest glyphs stay legible on the dark page
+            const brightness = this.brightness[(rgb[0] * 77 + rgb[1] * 150 + rgb[2] * 29) >> 8];
+            const scale = 0.25 + brightness * 0.75;
+            for (let c = 0; c < 3; c++) rgb[c] = this.tint[c] * scale;
+        }
+
+        if (this.colorLevels > 1) {
+            const step = 255 / (this.colorLevels - 1);
+            for (let c = 0; c < 3; c++) rgb[c] = Math.round(rgb[c] / step) * step;
+        }
+
+        if (this.palette) {
+            let best = this.palette[0];
+            let bestDist = Infinity;
+            for (const color of this.palette) {
+                const dr = rgb[0] - color[0];
+                const dg = rgb[1] - color[1];
+                const db = rgb[2] - color[2];
+                const dist = dr * dr + dg * dg + db * db;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = color;
+                }
+            }
+            rgb[0] = best[0];
+            rgb[1] = best[1];
+            rgb[2] = best[2];
+        }
+    }
+
+    // Glyph indices -> one text line per row
+    toText(indices, cols, rows) {
+        const codes = new Uint16Array(rows * (cols + 1));
+
+        let out = 0;
+        for (let y = 0, i = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++, i++) {
+                codes[out++] = this.glyphCodes[indices[i]];
+            }
+            codes[out++] = 10; // "\n"
+        }
+
+        return ASCIIConverter.decode(codes);
+    }
+
+    convert(data, cols, rows) {
+        return this.toText(this.map(data, cols, rows), cols, rows);
+    }
+
+    // '#rgb', '#rrggbb', 'rgb(r, g, b)' or 0xRRGGBB -> [r, g, b]
+    static parseColor(color) {
+        if (typeof color === 'number') {
+            return [(color >> 16) & 255, (color >> 8) & 255, color & 255];
+        }
+        if (/^rgba?\(/.test(color)) {
+            return color.match(/[\d.]+/g).slice(0, 3).map(Number);
+        }
+        let hex = String(color).replace('#', '');
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const value = parseInt(hex, 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    // Char codes -> string, chunked to stay under argument count limits
+    static decode(codes) {
+        const chunkSize = 8192;
+        let str = "";
+        for (let i = 0; i < codes.length; i += chunkSize) {
+            str += String.fromCharCode.apply(null, codes.subarray(i, i + chunkSize));
+        }
+        return str;
+    }
+}
+
+// ===== CONVERSION STRATEGIES =====
+// strategy(converter, luma, cols, rows) -> Uint8Array of glyph indices.
+// luma holds 0-255 per cell; converter.brightness maps it through the
+// contrast stretch and converter.lookup straight to a ramp index.
+// Strategies added here at runtime only exist on the main thread, so
+// engines using them should pass worker: false.
+const BAYER_4X4 = [
+    0, 8, 2, 10,
+    12, 4, 14, 6,
+    3, 11, 1, 9,
+    15, 7, 13, 5
+];
+
+ASCIIConverter.strategies = {
+    // Fixed brightness -> ramp mapping (the original look)
+    luminance(converter, luma) {
+        const indices = new Uint8Array(luma.length);
+        for (let i = 0; i < luma.length; i++) {
+            indices[i] = converter.lookup[luma[i]];
+        }
+        return indices;
+    },
+
+    // Sobel gradient: strong edges get a glyph following the contour
+    // (| / - \ _), everything else falls back to the brightness ramp
+    edge(converter, luma, cols, rows) {
+        const indices = ASCIIConverter.strategies.luminance(converter, luma);
+        const level = converter.brightness;
+        const [vertical, rising, top, falling, bottom] = converter.edgeIndices;
+        const at = (x, y) => level[luma[Math.min(rows - 1, Math.max(0, y)) * cols + Math.min(cols - 1, Math.max(0, x))]];
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1))
+                    - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+                const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1))
+                    - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+
+                if (Math.sqrt(gx * gx + gy * gy) < converter.edgeThreshold) continue;
+
+                // Gradient direction (screen y points down), folded to 0-180 degrees.
+                // The contour runs perpendicular to it.
+                let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+                if (angle < 0) angle += 180;
+
+                let glyph;
+                if (angle < 22.5 || angle >= 157.5) glyph = vertical;
+                else if (angle < 67.5) glyph = rising;
+                else if (angle < 112.5) glyph = gy < 0 ? bottom : top; // Bright above -> sits low
+                else glyph = falling;
+
+                indices[y * cols + x] = glyph;
+            }
+        }
+        return indices;
+    },
+
+    // Ordered dithering against a 4x4 Bayer matrix
+    bayer(converter, luma, cols, rows) {
+        const indices = new Uint8Array(luma.length);
+        const steps = converter.chars.length - 1;
+
+        for (let y = 0, i = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++, i++) {
+                const value = converter.brightness[luma[i]] * steps;
+                const base = Math.floor(value);
+                const threshold = (BAYER_4X4[(y % 4) * 4 + (x % 4)] + 0.5) / 16;
+                indices[i] = Math.min(steps, base + (value - base > threshold ? 1 : 0));
+            }
+        }
+        return indices;
+    },
+
+    // Floyd-Steinberg error diffusion over the ramp levels
+    'floyd-steinberg'(converter, luma, cols, rows) {
+        const indices = new Uint8Array(luma.length);
+        const steps = converter.chars.length - 1;
+        const values = new Float32Array(luma.length);
+        for (let i = 0; i < luma.length; i++) {
+            values[i] = converter.brightness[luma[i]] * steps;
+        }
+
+        for (let y = 0, i = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++, i++) {
+                const level = Math.max(0, Math.min(steps, Math.round(values[i])));
+                const error = values[i] - level;
+                indices[i] = level;
+
+                if (x + 1 < cols) values[i + 1] += error * 7 / 16;
+                if (y + 1 < rows) {
+                    if (x > 0) values[i + cols - 1] += error * 3 / 16;
+                    values[i + cols] += error * 5 / 16;
+                    if (x + 1 < cols) values[i + cols + 1] += error * 1 / 16;
+                }
+            }
+        }
+        return indices;
+    }
+};
+
+// ===== ASCII PIPELINE (Main Thread) =====
+// Downsampling stays on the main thread (one GPU drawImage). Pixel readback,
+// glyph mapping and string assembly move to a worker when the browser allows:
+//   worker + OffscreenCanvas -> ImageBitmap is transferred, worker reads pixels
+//   worker only              -> main thread reads pixels, worker maps them
+//   no worker                -> everything in-thread (the original path)
+class ASCIIPipeline {
+    constructor(options = {}) {
+        this.busy = false; // One frame in flight; newer frames are dropped
+        this.nextId = 0;
+        this.setOptions(options);
+
+        this.worker = options.worker === false
+            ? null
+            : ASCIIPipeline.createWorker(options.workerUrl || 'ascii-worker.js');
+        this.useBitmaps = !!this.worker && ASCIIPipeline.supportsOffscreen();
+
+        this.smallCanvas = document.createElement('canvas');
+        this.smallCtx = this.smallCanvas.getContext('2d', { willReadFrequently: !this.useBitmaps });
+        this.smallCtx.imageSmoothingEnabled = false;
+
+        if (this.worker) {
+            this.worker.onmessage = (e) => this.handleResult(e.data);
+            this.worker.onerror = () => this.disableWorker();
+            this.worker.postMessage({ type: 'configure', options: ASCIIPipeline.workerOptions(options) });
+        }
+    }
+
+    setOptions(options) {
+        this.options = options;
+        this.converter = new ASCIIConverter(options);
+        this.wantText = options.text !== false; // Canvas outputs only need indices
+    }
+
+    // Swap converter settings (e.g. a calibrated ramp). A frame still in
+    // flight was mapped with the old glyphs, so its result is dropped.
+    configure(changes) {
+        this.setOptions({ ...this.options, ...changes });
+        this.busy = false;
+        this.nextId++;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', options: ASCIIPipeline.workerOptions(this.options) });
+        }
+    }
+
+    static createWorker(url) {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            return new Worker(url);
+        } catch (error) {
+            // e.g. file:// pages or a strict CSP
+            return null;
+        }
+    }
+
+    static supportsOffscreen() {
+        if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+            return false;
+        }
+        try {
+            return !!new OffscreenCanvas(1, 1).getContext('2d');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Only plain data can be posted to the worker
+    static workerOptions(options) {
+        return {
+            chars: options.chars,
+            alphaThreshold: options.alphaThreshold,
+            backgroundChar: options.backgroundChar,
+            levels: options.levels,
+            levelsClip: options.levelsClip,
+            levelsSmoothing: options.levelsSmoothing,
+            strategy: options.strategy,
+            edgeThreshold: options.edgeThreshold,
+            edgeChars: options.edgeChars,
+            text: options.text,
+            color: options.color,
+            palette: options.palette,
+            colorLevels: options.colorLevels,
+            tint: options.tint,
+            baseColor: options.baseColor
+        };
+    }
+
+    disableWorker() {
+        if (!this.worker) return;
+        console.warn('ASCII worker failed, converting on the main thread');
+        this.worker.terminate();
+        this.worker = null;
+        this.useBitmaps = false;
+        this.busy = false;
+    }
+
+    // Engine teardown: stops the worker; a frame still in flight is dropped
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.onFrame = null;
+        this.busy = false;
+    }
+
+    // source: { canvas, x, y, width, height } rect to sample.
+    // onFrame receives { cols, rows, indices, colors, text }, possibly asynchronously.
+    // colors is null unless the converter is in color mode.
+    convert(source, cols, rows, onFrame) {
+        if (this.busy || cols < 1 || rows < 1) return;
+
+        this.downsample(source, cols, rows);
+
+        if (!this.worker) {
+            onFrame(this.convertNow(null, cols, rows));
+            return;
+        }
+
+        this.busy = true;
+        this.onFrame = onFrame;
+        const id = ++this.nextId;
+
+        if (this.useBitmaps) {
+            createImageBitmap(this.smallCanvas).then((bitmap) => {
+                if (!this.worker) return bitmap.close();
+                this.worker.postMessage({ type: 'frame', id, cols, rows, bitmap }, [bitmap]);
+            }, () => {
+                this.busy = false;
+            });
+        } else {
+            const pixels = this.smallCtx.getImageData(0, 0, cols, rows).data.buffer;
+            this.worker.postMessage({ type: 'frame', id, cols, rows, pixels }, [pixels]);
+        }
+    }
+
+    downsample(source, cols, rows) {
+        if (this.smallCanvas.width !== cols || this.smallCanvas.height !== rows) {
+            this.smallCanvas.width = cols;
+            this.smallCanvas.height = rows;
+            this.smallCtx.imageSmoothingEnabled = false;
+        }
+
+        this.smallCtx.clearRect(0, 0, cols, rows);
+        this.smallCtx.drawImage(source.canvas, source.x, source.y, source.width, source.height, 0, 0, cols, rows);
+    }
+
+    // Synchronous main-thread conversion (fallback path and exports).
+    // source null reuses what is already downsampled; converter defaults
+    // to the live one.
+    convertNow(source, cols, rows, converter = this.converter) {
+        if (source) this.downsample(source, cols, rows);
+        return this.convertData(this.smallCtx.getImageData(0, 0, cols, rows).data, cols, rows, converter);
+    }
+
+    // Downsampled RGBA of a source rect (a copy, safe to keep across renders)
+    sample(source, cols, rows) {
+        this.downsample(source, cols, rows);
+        return this.smallCtx.getImageData(0, 0, cols, rows).data;
+    }
+
+    // Frame from RGBA data that is already cols x rows (e.g. a transition mix)
+    convertData(data, cols, rows, converter = this.converter) {
+        const indices = converter.map(data, cols, rows);
+        const colors = converter.color ? converter.mapColors(data, cols, rows) : null;
+        const text = this.wantText ? converter.toText(indices, cols, rows) : null;
+        return { cols, rows, indices, colors, text };
+    }
+
+    handleResult(result) {
+        if (result.id !== this.nextId) return;
+        this.busy = false;
+        if (this.onFrame) {
+            this.onFrame({
+                cols: result.cols,
+                rows: result.rows,
+                indices: result.indices,
+                colors: result.colors,
+                text: result.text
+            });
+        }
+    }
+}
+
+// tools/ascii-render.js converts frames with the same code
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ASCIIConverter };
+}
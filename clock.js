@@ -0,0 +1,237 @@
+/**
+ * Xflow AI Hackathon 2026 - Event Clock
+ *
+ * EventClock: Ticks once a second against the event's schedule. Counts down
+ * to the event in .hero-date, switches the hero to "live now" while it runs,
+ * marks .timeline-items past / current / upcoming and points .calendar-links
+ * at an .ics of the phases. Times come from data attributes (see event.js):
+ *   .hero-date[data-live-start][data-live-end], .timeline-item[data-start][data-end]
+ * createCalendar: The phases as iCalendar text
+ */
+
+const CLOCK_LABELS = {
+    countdown: 'Live in',
+    live: 'Live now',
+    ended: "That's a wrap"
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ===== PHASES =====
+// Timeline items with a start, in page order. A phase without an end runs
+// until the next one starts (a day for the last) and is all-day in calendars.
+function readPhases(root) {
+    const items = Array.from(root.querySelectorAll('.timeline-item[data-start]'));
+    const phases = items.map((element) => {
+        const title = element.querySelector('h3');
+        const description = element.querySelector('p');
+        return {
+            element,
+            // Headings a text effect has run on keep their text in data-full-text
+            title: title ? (title.dataset.fullText || title.textContent).trim() : '',
+            description: description ? description.textContent.trim() : '',
+            startText: element.dataset.start,
+            start: Date.parse(element.dataset.start),
+            end: element.dataset.end ? Date.parse(element.dataset.end) : null,
+            allDay: !element.dataset.end
+        };
+    });
+
+    phases.forEach((phase, i) => {
+        if (phase.end === null) {
+            phase.end = i + 1 < phases.length ? phases[i + 1].start : phase.start + DAY;
+        }
+    });
+    return phases;
+}
+
+// ===== ICALENDAR =====
+function icsEscape(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+// 20260211T050000Z
+function icsTime(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// All-day phases keep the date as written, whatever the viewer's time zone
+function icsDate(isoText, addDays = 0) {
+    const [year, month, day] = isoText.slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + addDays));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Lines longer than 75 octets (UTF-8) continue on the next line after a
+// space, which counts towards that line; characters are never split
+function icsFold(line) {
+    const parts = [''];
+    let octets = 0;
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (octets + size > 75) {
+            parts.push('');
+            octets = 1; // The leading space
+        }
+        parts[parts.length - 1] += char;
+        octets += size;
+    }
+    return parts.join('\r\n ');
+}
+
+function createCalendar(phases, name, now = Date.now()) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Xflow//Event Clock//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${icsEscape(name)}`
+    ];
+
+    phases.forEach((phase, i) => {
+        lines.push('BEGIN:VEVENT', `UID:${slug}-${i + 1}@xflow`, `DTSTAMP:${icsTime(now)}`);
+        if (phase.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${icsDate(phase.startText)}`);
+            lines.push(`DTEND;VALUE=DATE:${icsDate(phase.startText, 1)}`);
+        } else {
+            lines.push(`DTSTART:${icsTime(phase.start)}`, `DTEND:${icsTime(phase.end)}`);
+        }
+        lines.push(`SUMMARY:${icsEscape(`${name}: ${phase.title}`)}`);
+        if (phase.description) lines.push(`DESCRIPTION:${icsEscape(phase.description)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// ===== CLOCK =====
+class EventClock {
+    // options.now: () => ms since epoch (default Date.now, or ?now=<ISO time> in the URL)
+    // options.root: where to look for the hero and timeline (default document)
+    constructor(options = {}) {
+        this.now = options.now || EventClock.queryClock() || Date.now;
+        this.root = options.root || document;
+
+        this.heroDate = this.root.querySelector('.hero-date');
+        this.hero = this.heroDate && this.heroDate.closest('.hero-section');
+        this.live = this.heroDate && this.heroDate.dataset.liveStart
+            ? { start: Date.parse(this.heroDate.dataset.liveStart), end: Date.parse(this.heroDate.dataset.liveEnd) }
+            : null;
+        this.phases = readPhases(this.root);
+
+        this.shown = null;     // Hero text on screen once settled (null until revealed)
+        this.scrambling = null; // AbortController of the running scramble
+        this.timer = null;
+        this.calendarURL = null;
+    }
+
+    // ?now=2026-02-11T11:00:00+05:30 runs the page at that time, ticking on from it
+    static queryClock() {
+        const value = new URLSearchParams(window.location.search).get('now');
+        const start = value ? Date.parse(value) : NaN;
+        if (isNaN(start)) return null;
+        const offset = start - Date.now();
+        return () => Date.now() + offset;
+    }
+
+    start() {
+        this.linkCalendar();
+        this.tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        if (this.scrambling) this.scrambling.abort();
+        this.timer = null;
+        if (this.calendarURL) URL.revokeObjectURL(this.calendarURL);
+    }
+
+    tick() {
+        const now = this.now();
+        this.markPhases(now);
+        this.updateHero(now);
+
+        // On the next whole second, so the countdown steps evenly
+        this.timer = setTimeout(() => this.tick(), 1000 - (now % 1000));
+    }
+
+    // ===== TIMELINE =====
+    currentPhase(now) {
+        return this.phases.find(phase => now >= phase.start && now < phase.end) || null;
+    }
+
+    markPhases(now) {
+        this.phases.forEach((phase) => {
+            const state = now >= phase.end ? 'past' : now >= phase.start ? 'current' : 'upcoming';
+            if (phase.state === state) return;
+            phase.state = state;
+            phase.element.classList.remove('is-past', 'is-current', 'is-upcoming');
+            phase.element.classList.add(`is-${state}`);
+        });
+    }
+
+    linkCalendar() {
+        if (this.phases.length === 0) return;
+        const calendar = createCalendar(this.phases, document.title, this.now());
+        this.calendarURL = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar' }));
+        this.root.querySelectorAll('.calendar-link').forEach((link) => {
+            link.href = this.calendarURL;
+            link.hidden = false;
+        });
+    }
+
+    // ===== HERO =====
+    // 'Live in 09d 04h 12m 33s' -> 'Live now · Execute' -> "That's a wrap".
+    // Without a live window the hero keeps its static date.
+    heroText(now) {
+        const { start, end } = this.live;
+        if (now >= end) return CLOCK_LABELS.ended;
+        if (now >= start) {
+            const phase = this.currentPhase(now);
+            return phase ? `${CLOCK_LABELS.live} · ${phase.title}` : CLOCK_LABELS.live;
+        }
+
+        const seconds = Math.ceil((start - now) / 1000);
+        const pad = value => String(value).padStart(2, '0');
+        const days = Math.floor(seconds / 86400);
+        const clock = `${pad(Math.floor(seconds / 3600) % 24)}h ${pad(Math.floor(seconds / 60) % 60)}m ${pad(seconds % 60)}s`;
+        return `${CLOCK_LABELS.countdown} ${days > 0 ? `${pad(days)}d ` : ''}${clock}`;
+    }
+
+    updateHero(now) {
+        if (!this.live || !this.heroDate) return;
+
+        const isLive = now >= this.live.start && now < this.live.end;
+        if (this.hero) this.hero.classList.toggle('is-live', isLive);
+
+        const text = this.heroText(now);
+        if (this.shown === null) {
+            this.heroDate.textContent = text; // Not on screen yet
+        } else if (!this.scrambling && text !== this.shown) {
+            // Only the characters that changed; a tick during a scramble is
+            // caught up by the next one
+            this.scramble({ text, from: this.shown, charDuration: 67 });
+        }
+    }
+
+    // The hero sequence brings the date in: its last 8 characters settle
+    // out of noise (the original scrambleSuffix reveal)
+    revealHero() {
+        if (!this.heroDate) return Promise.resolve(false);
+        return this.scramble({ text: this.heroDate.textContent, suffix: 8 });
+    }
+
+    scramble(options) {
+        if (this.scrambling) this.scrambling.abort();
+        const controller = new AbortController();
+        this.scrambling = controller;
+        return TextEffects.scramble(this.heroDate, { ...options, signal: controller.signal }).then((finished) => {
+            if (this.scrambling === controller) this.scrambling = null;
+            this.shown = options.text;
+            return finished;
+        });
+    }
+}
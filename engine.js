@@ -1,51 +1,464 @@
 /**
  * Xflow AI Hackathon 2026 - Rendering Engines
  * 
+ * SharedRenderer: Single WebGL context shared by every engine
+ * ASCIIEngine: What both engines share: ASCII output, cell size, loading,
+ *   model swaps, interaction, export and teardown
  * ASCIIOnlyEngine: Pure ASCII rendering for hero section
  * ThreeJSEngine: 3D + ASCII hover reveal for content sections
  */
 
+// ===== SHARED RENDERER =====
+// Browsers cap live WebGL contexts (mobile Safari drops them past a handful),
+// so every engine draws through one renderer. Each view renders into the
+// bottom-left corner of one offscreen canvas and the engine copies its pixels
+// out right away, before the next view draws over them.
+class SharedRenderer {
+    static get() {
+        if (!SharedRenderer.instance) {
+            SharedRenderer.instance = new SharedRenderer();
+        }
+        return SharedRenderer.instance;
+    }
+
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.views = new Set();
+
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            antialias: true,
+            alpha: true, // Sections render with transparent backgrounds
+            preserveDrawingBuffer: true
+        });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.setScissorTest(true);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        this.width = 1;
+        this.height = 1;
+        this.renderer.setSize(this.width, this.height, false);
+    }
+
+    // view: { scene, camera, width, height } (CSS pixels)
+    register(view) {
+        this.views.add(view);
+        this.fit();
+    }
+
+    unregister(view) {
+        this.views.delete(view);
+    }
+
+    // Set by PerformanceGovernor (three.js resizes the drawing buffer to match)
+    setPixelRatio(ratio) {
+        if (ratio === this.renderer.getPixelRatio()) return;
+        this.renderer.setPixelRatio(ratio);
+    }
+
+    // Grow the drawing buffer to hold the largest view. Never shrink:
+    // reallocating on every resize costs more than the spare pixels.
+    fit() {
+        let width = this.width;
+        let height = this.height;
+
+        this.views.forEach(view => {
+            width = Math.max(width, Math.ceil(view.width));
+            height = Math.max(height, Math.ceil(view.height));
+        });
+
+        if (width !== this.width || height !== this.height) {
+            this.width = width;
+            this.height = height;
+            this.renderer.setSize(width, height, false);
+        }
+    }
+
+    // Draw one view and return the device-pixel rect holding its image
+    render(view) {
+        this.renderer.setViewport(0, 0, view.width, view.height);
+        this.renderer.setScissor(0, 0, view.width, view.height);
+        this.renderer.render(view.scene, view.camera);
+
+        const pixelRatio = this.renderer.getPixelRatio();
+        const width = Math.floor(view.width * pixelRatio);
+        const height = Math.floor(view.height * pixelRatio);
+
+        return {
+            canvas: this.canvas,
+            x: 0,
+            y: this.canvas.height - height, // GL origin is bottom-left
+            width,
+            height
+        };
+    }
+}
+
+// ===== ASCII ENGINE (shared by both engines) =====
+// The ASCII output and its cell size, loading, model swaps, interaction,
+// export and teardown work the same in both engines.
+// Subclasses set this.asciiElement (the ASCII layer) and this.hostElement
+// (where the loading indicator goes), and provide updateDimensions(),
+// fitObject(), labelLayer() and the scene (camera, view, modelGroup, lights).
+class ASCIIEngine extends EventTarget {
+    // converterOptions: added to the engine options for the ASCIIConverter
+    initASCIIHelpers(converterOptions = {}) {
+        const outputMode = this.options.output || 'text';
+        this.pipeline = new ASCIIPipeline({
+            ...this.options,
+            ...converterOptions,
+            chars: this.asciiChars,
+            text: outputMode === 'text' && !this.options.color // Color text output uses spans
+        });
+        this.output = createASCIIOutput(
+            outputMode, this.asciiElement, this.pipeline.converter.glyphs, this.charWidth, this.charHeight
+        );
+        this.updateDimensions();
+
+        if (this.options.calibrate !== false) {
+            calibrateRamp(this.asciiChars, this.asciiElement)
+                .then((chars) => {
+                    if (!this.destroyed) this.setChars(chars);
+                })
+                .catch((error) => {
+                    // Keeps the configured ramp order
+                    console.warn('Could not calibrate the ASCII ramp:', error);
+                });
+        }
+    }
+
+    loadModel(modelPath) {
+        // .xfm binary with OBJ fallback (see xfm-loader.js), retried (see loading.js)
+        this.loadingIndicator = new ASCIILoadingIndicator(this.hostElement, modelName(modelPath));
+        loadModelWithRetry(modelPath, this.loadOptions())
+            .then((object) => {
+                // Destroyed meanwhile, or setModel() got a model in first
+                if (this.destroyed || this.model) {
+                    disposeModel(object);
+                    this.loadingIndicator.remove();
+                    return;
+                }
+
+                this.prepareModel(object, modelPath);
+                this.modelGroup.add(object);
+                this.model = object;
+                this.finishLoading(object);
+            })
+            .catch((error) => {
+                if (this.destroyed) return;
+                // setModel() already got a model in, so keep showing it
+                if (this.model) {
+                    this.loadingIndicator.remove();
+                    return;
+                }
+                console.error('Error loading model:', error);
+                this.showPoster(error);
+            });
+    }
+
+    // ===== LOADING (see loading.js) =====
+    // Preset material, shadows and size for a freshly loaded model
+    prepareModel(object, modelPath) {
+        const material = createPresetMaterial(this.preset.material);
+        applyModelMaterials(object, material, modelPath, this.options.mtl !== false);
+        this.setShadows(object);
+
+        const box = new THREE.Box3().setFromObject(object);
+        object.userData.bounds = {
+            center: box.getCenter(new THREE.Vector3()),
+            size: box.getSize(new THREE.Vector3())
+        };
+        this.fitObject(object);
+    }
+
+    loadOptions() {
+        return {
+            retries: this.options.retries,
+            retryDelay: this.options.retryDelay,
+            onProgress: (event) => {
+                this.loadingIndicator.setProgress(event);
+                this.dispatchEvent(new CustomEvent('progress', {
+                    detail: { loaded: event.loaded, total: event.lengthComputable ? event.total : 0 }
+                }));
+            },
+            onRetry: () => this.loadingIndicator.setStatus('retrying')
+        };
+    }
+
+    finishLoading(model) {
+        this.loadingIndicator.remove();
+        PerformanceGovernor.get().requestFrame(this);
+        this.dispatchEvent(new CustomEvent('load', { detail: { model } }));
+    }
+
+    // Static poster instead of the live render (no WebGL, or the model never loaded)
+    showPoster(error) {
+        this.failed = true;
+        PerformanceGovernor.get().unregister(this);
+        // Deferred so listeners added right after the constructor still hear it
+        setTimeout(() => this.dispatchEvent(new CustomEvent('error', { detail: { error } })), 0);
+
+        showASCIIPoster(this.asciiElement, this.options.poster || posterPath(this.modelPath))
+            .then(() => {
+                if (this.loadingIndicator) this.loadingIndicator.remove();
+            })
+            .catch((posterError) => {
+                console.error('Error loading poster:', posterError);
+                if (!this.loadingIndicator) {
+                    this.loadingIndicator = new ASCIILoadingIndicator(this.hostElement, modelName(this.modelPath));
+                }
+                this.loadingIndicator.fail('could not load');
+            });
+    }
+
+    setShadows(object) {
+        object.traverse((child) => {
+            if (child instanceof THREE.Mesh) {
+                child.castShadow = this.preset.shadows;
+                child.receiveShadow = this.preset.shadows;
+            }
+        });
+    }
+
+    // The current model, and the incoming one mid-transition
+    fitModel() {
+        if (this.model) this.fitObject(this.model);
+        if (this.transition) this.fitObject(this.transition.to);
+    }
+
+    setChars(chars) {
+        this.asciiChars = chars;
+        this.pipeline.configure({ chars });
+        this.output.setGlyphs(this.pipeline.converter.glyphs);
+        PerformanceGovernor.get().requestFrame(this);
+    }
+
+    // ===== LAYOUT (see layout.js) =====
+    // Base cell size from the stylesheet font (measured without the governor's scaling)
+    updateCharMetrics() {
+        scaleASCIIFont(this.asciiElement, 1);
+        const cell = measureASCIICell(this.asciiElement);
+        scaleASCIIFont(this.asciiElement, this.gridScale);
+
+        this.baseCharWidth = cell.width;
+        this.baseCharHeight = cell.height;
+        this.charWidth = cell.width * this.gridScale;
+        this.charHeight = cell.height * this.gridScale;
+        if (this.output) this.output.setCellSize(this.charWidth, this.charHeight);
+    }
+
+    // ===== QUALITY (see performance.js) =====
+    // Larger cells = fewer to convert and draw; the font grows to fill them
+    setGridScale(scale) {
+        if (scale === this.gridScale) return;
+
+        this.gridScale = scale;
+        this.charWidth = this.baseCharWidth * scale;
+        this.charHeight = this.baseCharHeight * scale;
+        scaleASCIIFont(this.asciiElement, scale);
+        this.output.setCellSize(this.charWidth, this.charHeight);
+        this.updateDimensions();
+    }
+
+    // ===== MODEL SWAP (see transitions.js) =====
+    // Loads path in the background while the current model keeps running,
+    // then morphs the ASCII into it. options.transition: 'dissolve' (default),
+    // 'scramble', 'crossfade' or 'cut' (always, with motion off); options.duration in ms. Resolves with
+    // the new model once it is fully showing; the newest call wins.
+    setModel(path, { transition = 'dissolve', duration = 900 } = {}) {
+        if (this.failed) return Promise.reject(new Error('No live render to swap the model in'));
+
+        const request = this.modelRequest = (this.modelRequest || 0) + 1;
+        const options = { retries: this.options.retries, retryDelay: this.options.retryDelay };
+
+        return loadModelWithRetry(path, options).then((object) => {
+            if (request !== this.modelRequest || this.failed || this.destroyed) {
+                disposeModel(object);
+                return this.model;
+            }
+
+            if (this.transition) this.finishTransition();
+            this.prepareModel(object, path);
+            this.modelPath = path;
+            this.modelGroup.add(object);
+
+            if (!this.model || transition === 'cut' || MotionPreference.get().still) {
+                this.swapModel(object);
+                return object;
+            }
+
+            object.rotation.copy(this.model.rotation);
+            object.visible = false;
+            return new Promise((resolve, reject) => {
+                this.transition = new ASCIITransition(this.model, object, transition, duration);
+                this.transition.resolve = resolve;
+                this.transition.reject = reject;
+            });
+        });
+    }
+
+    // Both models are rendered and mixed on the main thread until the end
+    renderTransition() {
+        const render = () => this.sharedRenderer.render(this.view);
+        const frame = this.transition.frame(this.pipeline, render, this.cols, this.rows);
+        this.lastFrame = frame;
+        this.output.draw(frame);
+        if (this.transition.done) this.finishTransition();
+    }
+
+    finishTransition() {
+        const { to, resolve } = this.transition;
+        this.transition = null;
+        this.swapModel(to);
+        resolve(to);
+    }
+
+    // object (prepared and already in modelGroup) replaces the current model
+    swapModel(object) {
+        if (this.model) {
+            this.modelGroup.remove(this.model);
+            disposeModel(this.model);
+        }
+        object.visible = true;
+        this.model = object;
+        this.labelLayer();
+        PerformanceGovernor.get().requestFrame(this);
+        this.dispatchEvent(new CustomEvent('load', { detail: { model: object } }));
+    }
+
+    // ===== INTERACTION (see interaction.js) =====
+    applyInteraction() {
+        const input = this.interaction.update();
+        this.targetRotationX = input.rotationX;
+        this.targetRotationY = input.rotationY;
+
+        if (Math.abs(input.zoom - this.camera.zoom) > 0.001) {
+            this.camera.zoom += (input.zoom - this.camera.zoom) * 0.15;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    // ===== EXPORT (see export.js) =====
+    // format: 'txt', 'svg' or 'png' -> Promise<Blob>
+    exportFrame(format) {
+        return ASCIIExport.exportFrame(this, format);
+    }
+
+    // options: { seconds, fps, turns, format: 'cast' | 'gif' } -> Promise<Blob>
+    record(options) {
+        return ASCIIExport.record(this, options);
+    }
+
+    exportMetrics() {
+        const style = getComputedStyle(this.asciiElement);
+        return {
+            glyphs: this.pipeline.converter.glyphs,
+            charWidth: this.charWidth,
+            charHeight: this.charHeight,
+            fontFamily: style.fontFamily,
+            fontWeight: style.fontWeight,
+            color: style.color,
+            background: this.options.background || ASCIIExport.backgroundOf(this.asciiElement),
+            title: this.modelPath
+        };
+    }
+
+    // ===== TEARDOWN =====
+    // Stops rendering and frees what the engine made: GPU buffers, listeners,
+    // the ASCII worker and its output. The engine can't be used afterwards.
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        PerformanceGovernor.get().unregister(this);
+        if (this.stopResizeObserver) this.stopResizeObserver();
+        if (this.interaction) this.interaction.destroy();
+        this.unlabel();
+        if (this.loadingIndicator) this.loadingIndicator.remove();
+        if (this.transition) {
+            this.transition.reject(new Error('Engine destroyed'));
+            this.transition = null;
+        }
+
+        if (this.sharedRenderer) {
+            this.sharedRenderer.unregister(this.view);
+            disposeModel(this.scene); // Every mesh, including a model mid-transition
+            this.lights.forEach((light) => {
+                if (light.shadow && light.shadow.map) light.shadow.map.dispose();
+            });
+            this.scene.clear();
+        }
+        if (this.pipeline) this.pipeline.dispose();
+
+        this.asciiElement.textContent = '';
+    }
+}
+
 // ===== ASCII ONLY ENGINE (Hero Section) =====
-class ASCIIOnlyEngine {
-    constructor(canvasId, modelPath) {
-        this.canvas = document.getElementById(canvasId);
+class ASCIIOnlyEngine extends ASCIIEngine {
+    // options.output: 'text' (DOM text, default) or 'canvas' (glyph atlas)
+    // options.color / palette / colorLevels / tint: per-cell color (see ASCIIConverter)
+    // options.strategy: 'luminance' (default), 'edge', 'bayer' or 'floyd-steinberg'
+    // options.chars: character set, sorted by measured ink unless calibrate: false
+    // options.levels / levelsSmoothing: contrast stretch ('fixed' default, 'auto' histogram levels)
+    // options.preset / material / lights: look of the model (see presets.js, default 'hero')
+    // options.mtl: false skips the model's MTL files
+    // options.retries / retryDelay: model load retries (default 2, from 1000 ms doubling)
+    // options.poster: static ASCII shown without WebGL (default posters/<model>.txt)
+    // options.interaction: InteractionController options, or false (see interaction.js;
+    //   hero default: hover tilt, drag, phone tilt, no zoom)
+    // options.interval: ASCII update every N frames (default 2)
+    // options.label: what screen readers hear instead of the glyphs (default from the model name)
+    // options.background: behind exported frames (default: the page color showing behind the ASCII)
+    // Events: 'progress' { loaded, total }, 'load' { model } (also after setModel),
+    //   'error' { error } (poster shown)
+    // canvasId: id of the ASCII element, or the element itself
+    constructor(canvasId, modelPath, options = {}) {
+        super();
+        this.canvas = canvasId instanceof Element ? canvasId : document.getElementById(canvasId);
+        this.asciiElement = this.canvas;
+        this.hostElement = this.canvas.parentElement;
         this.modelPath = modelPath;
+        this.options = options;
+        this.preset = resolvePreset(options.preset, options, 'hero');
 
-        // Mouse tracking
-        this.mouseX = 0;
-        this.mouseY = 0;
+        // Rotation the model eases towards (set from the interaction controller)
         this.targetRotationX = 0;
         this.targetRotationY = 0;
 
-        // ASCII Settings (Responsive - smaller on mobile)
-        const isMobile = window.innerWidth < 768;
-        this.charWidth = isMobile ? 2.4 : 5.4;
-        this.charHeight = isMobile ? 4 : 9;
-        this.asciiChars = ".:*₹€£$";
+        // ASCII Settings (cell size follows the CSS font, smaller on mobile)
+        this.gridScale = 1; // Cell size multiplier (PerformanceGovernor)
+        this.updateCharMetrics();
+        this.asciiChars = options.chars || ".:*₹€£$";
         // this.asciiChars = "£€$₹..";
 
 
         // Performance
         this.frameCount = 0;
-        this.asciiUpdateInterval = 2; // Update ASCII every N frames
+        this.baseUpdateInterval = options.interval || 2; // Update ASCII every N frames (the governor may add more)
+        this.asciiUpdateInterval = this.baseUpdateInterval;
         this.isResizing = false; // Pause rendering during resize
 
+        this.labelLayer();
+
+        if (!supportsWebGL()) {
+            this.showPoster(new Error('WebGL is not available'));
+            return;
+        }
+
         // Initialize
         this.initASCIIHelpers();
         this.initThreeJS();
         this.initEventListeners();
-        this.loadModel();
-        this.animate();
-    }
+        this.loadModel(this.modelPath);
 
-    initASCIIHelpers() {
-        this.smallCanvas = document.createElement('canvas');
-        this.smallCtx = this.smallCanvas.getContext('2d', { willReadFrequently: true });
-        this.smallCtx.imageSmoothingEnabled = false;
-        this.updateASCIIDimensions();
+        // Rendered by the governor's loop while the hero is on screen
+        PerformanceGovernor.get().register(this, this.canvas.parentElement);
     }
 
-    updateASCIIDimensions() {
+    updateDimensions() {
         // Use container dimensions (hero-frame) instead of viewport
         const container = this.canvas.parentElement;
         const width = container ? container.clientWidth : 1200;
@@ -54,8 +467,6 @@ class ASCIIOnlyEngine {
         const cols = Math.floor(width / this.charWidth);
         const rows = Math.floor(height / this.charHeight);
 
-        this.smallCanvas.width = cols;
-        this.smallCanvas.height = rows;
         this.cols = cols;
         this.rows = rows;
 
@@ -72,11 +483,6 @@ class ASCIIOnlyEngine {
         this.containerWidth = width;
         this.containerHeight = height;
 
-        // Offscreen renderer (sized to container, not viewport)
-        this.offscreenCanvas = document.createElement('canvas');
-        this.offscreenCanvas.width = width;
-        this.offscreenCanvas.height = height;
-
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x1F2741);
 
@@ -84,282 +490,258 @@ class ASCIIOnlyEngine {
         this.camera = new THREE.PerspectiveCamera(35, aspect, 0.1, 1000);
         this.camera.position.z = 15;
 
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.offscreenCanvas,
-            antialias: true,
-            preserveDrawingBuffer: true
-        });
-        this.renderer.setSize(width, height);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        // Rendered through the shared context (sized to container, not viewport)
+        this.sharedRenderer = SharedRenderer.get();
+        this.view = { scene: this.scene, camera: this.camera, width, height };
+        this.sharedRenderer.register(this.view);
 
         // Lights
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
-        this.scene.add(ambientLight);
-
-        const keyLight = new THREE.DirectionalLight(0xffffff, 0.9);
-        keyLight.position.set(1, 1, 2).normalize();
-        this.scene.add(keyLight);
-
-        const fillLight = new THREE.DirectionalLight(0xeef4ff, 0.5);
-        fillLight.position.set(-1, -1, 1).normalize();
-        this.scene.add(fillLight);
+        this.lights = addPresetLights(this.scene, this.preset.lights);
 
         this.modelGroup = new THREE.Group();
         this.scene.add(this.modelGroup);
     }
 
-    loadModel() {
-        if (typeof THREE.OBJLoader === 'undefined') {
-            console.warn('OBJLoader not available');
-            return;
-        }
-
-        const loader = new THREE.OBJLoader();
-
-        loader.load(
-            this.modelPath,
-            (object) => {
-                const material = new THREE.MeshPhongMaterial({
-                    color: 0x2E5CB8,
-                    shininess: 0,
-                    flatShading: false,
-                    side: THREE.DoubleSide
-                });
-
-                object.traverse((child) => {
-                    if (child instanceof THREE.Mesh) {
-                        child.material = material;
-                    }
-                });
-
-                const box = new THREE.Box3().setFromObject(object);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-
-                this.modelSize = size;
-                this.modelCenter = center;
-
-                this.modelGroup.add(object);
-                this.model = object;
-
-                this.fitModel();
-            },
-            (xhr) => { },
-            (error) => {
-                console.error('Error loading model:', error);
-            }
-        );
-    }
-
-    fitModel() {
-        if (!this.model || !this.modelSize || !this.modelCenter) return;
+    // ===== LOADING (see loading.js) =====
+    // Size and position for prepareModel()
+    fitObject(object) {
+        const { size, center } = object.userData.bounds;
 
         const dist = this.camera.position.z;
         const vFOV = (this.camera.fov * Math.PI) / 180;
         const visibleHeight = 2 * Math.tan(vFOV / 2) * dist;
         const visibleWidth = visibleHeight * this.camera.aspect;
 
-        // Use smaller target width on mobile to prevent zoomed-in appearance
-        const isMobile = window.innerWidth < 768;
-        const targetWidth = visibleWidth * (isMobile ? 0.60 : 0.60);
-        const scale = targetWidth / this.modelSize.x;
+        // 60% of the width, unless a tall, narrow frame makes height the limit
+        const scale = Math.min(
+            (visibleWidth * 0.60) / size.x,
+            (visibleHeight * 0.80) / size.y
+        );
 
-        this.model.scale.setScalar(scale);
-        this.model.position.set(
-            -this.modelCenter.x * scale,
-            -this.modelCenter.y * scale,
-            -this.modelCenter.z * scale
+        object.scale.setScalar(scale);
+        object.position.set(
+            -center.x * scale,
+            -center.y * scale,
+            -center.z * scale
         );
     }
 
     initEventListeners() {
-        window.addEventListener('resize', () => {
-            // Match ThreeJSEngine's simple approach - DON'T resize offscreenCanvas or call fitModel
-            const container = this.canvas.parentElement;
-            if (!container) return;
-
-            const width = container.clientWidth || 1200;
-            const height = container.clientHeight || 642;
-
-            // Update container dimensions
-            this.containerWidth = width;
-            this.containerHeight = height;
-
-            // Update ASCII grid
-            const cols = Math.floor(width / this.charWidth);
-            const rows = Math.floor(height / this.charHeight);
-            this.smallCanvas.width = cols;
-            this.smallCanvas.height = rows;
-            this.cols = cols;
-            this.rows = rows;
-
-            // Update Three.js camera and renderer ONLY (like ThreeJSEngine)
-            if (this.camera && this.renderer) {
-                this.camera.aspect = width / height;
-                this.camera.updateProjectionMatrix();
-                this.renderer.setSize(width, height);
-                // NOTE: NOT updating offscreenCanvas.width/height here
-                // NOTE: NOT calling fitModel() here
-            }
-        });
-
-
-        // Only track mouse when over hero section
-        const heroSection = document.querySelector('.hero-section');
-        if (heroSection) {
-            heroSection.addEventListener('mousemove', (e) => {
-                const rect = heroSection.getBoundingClientRect();
-                this.mouseX = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-                this.mouseY = ((e.clientY - rect.top) / rect.height) * 2 - 1;
-
-                const maxTilt = 0.5;
-                this.targetRotationY = this.mouseX * maxTilt;
-                this.targetRotationX = this.mouseY * maxTilt * 0.5;
-            });
-
-            heroSection.addEventListener('mouseleave', () => {
-                this.targetRotationY = 0;
-                this.targetRotationX = 0;
-            });
-
-            // Touch support for mobile
-            let touchStartX = 0;
-            let touchStartY = 0;
-            let isTouching = false;
-
-            heroSection.addEventListener('touchstart', (e) => {
-                if (e.touches.length === 1) {
-                    isTouching = true;
-                    touchStartX = e.touches[0].clientX;
-                    touchStartY = e.touches[0].clientY;
-                }
-            }, { passive: true });
-
-            heroSection.addEventListener('touchmove', (e) => {
-                if (!isTouching || e.touches.length !== 1) return;
-
-                const rect = heroSection.getBoundingClientRect();
-                const touchX = e.touches[0].clientX;
-                const touchY = e.touches[0].clientY;
-
-                // Calculate position relative to hero section (like mouse)
-                this.mouseX = ((touchX - rect.left) / rect.width) * 2 - 1;
-                this.mouseY = ((touchY - rect.top) / rect.height) * 2 - 1;
+        const container = this.canvas.parentElement;
+        if (container) {
+            this.stopResizeObserver = observeResize(container, change => this.handleResize(change));
+        }
 
-                const maxTilt = 0.5;
-                this.targetRotationY = this.mouseX * maxTilt;
-                this.targetRotationX = this.mouseY * maxTilt * 0.5;
-            }, { passive: true });
+        // Cells were measured in the fallback font until IBM Plex Mono arrives
+        if (document.fonts) {
+            document.fonts.ready.then(() => this.handleResize({ pixelRatioChanged: false }));
+        }
 
-            heroSection.addEventListener('touchend', () => {
-                isTouching = false;
-                // Smoothly return to center when touch ends
-                this.targetRotationY = 0;
-                this.targetRotationX = 0;
+        // Input over the frame moves the logo; the rest of the hero (headline,
+        // links) keeps its own focus order and touch scrolling
+        if (this.options.interaction !== false && container) {
+            this.interaction = new InteractionController(container, {
+                zoom: false,
+                orientation: true,
+                ...this.options.interaction
             });
         }
     }
 
     renderASCII() {
-        if (!this.model || this.isResizing) return;
+        if (!this.model || !this.frame || this.isResizing) return;
 
         // Throttle ASCII generation for performance
         if (this.frameCount % this.asciiUpdateInterval !== 0) {
             return;
         }
 
-        this.smallCtx.drawImage(this.offscreenCanvas, 0, 0, this.cols, this.rows);
-        const imageData = this.smallCtx.getImageData(0, 0, this.cols, this.rows);
-        const data = imageData.data;
+        if (this.transition) {
+            this.renderTransition();
+            return;
+        }
+
+        // Conversion may finish asynchronously in the ASCII worker
+        this.pipeline.convert(this.frame, this.cols, this.rows, (frame) => {
+            // Stale once a transition took over, or a still frame was drawn
+            if (this.failed || this.transition || MotionPreference.get().still) return;
+            this.lastFrame = frame;
+            this.output.draw(frame);
+        });
+    }
 
-        let asciiStr = "";
+    // ===== LAYOUT (see layout.js) =====
+    // Container resized, a CSS breakpoint changed the font, or the pixel ratio changed
+    handleResize({ pixelRatioChanged }) {
+        if (this.destroyed) return;
+        if (pixelRatioChanged) PerformanceGovernor.get().refresh();
 
-        for (let i = 0; i < this.cols * this.rows; i++) {
-            const r = data[i * 4];
-            const g = data[i * 4 + 1];
-            const b = data[i * 4 + 2];
+        this.updateCharMetrics();
+        this.updateDimensions();
+        if (!this.containerWidth || !this.containerHeight) return; // Hidden
+
+        this.camera.aspect = this.containerWidth / this.containerHeight;
+        this.camera.updateProjectionMatrix();
+        this.view.width = this.containerWidth;
+        this.view.height = this.containerHeight;
+        this.sharedRenderer.fit();
+        this.fitModel();
+        PerformanceGovernor.get().requestFrame(this);
+    }
 
-            let brightness = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    // ===== QUALITY (see performance.js) =====
+    applyQuality(quality) {
+        this.asciiUpdateInterval = this.baseUpdateInterval + quality.interval;
+        setShadowQuality(this.lights, quality.shadows);
+        this.setGridScale(1 / quality.density);
+        PerformanceGovernor.get().requestFrame(this);
+    }
 
-            // Contrast stretching: Map 0.15-0.55 to 0.0-1.0 to use full ramp
-            brightness = (brightness - 0.15) * 3.0;
-            brightness = Math.max(0, Math.min(1, brightness));
+    // ===== EXPORT (see export.js) =====
+    captureFrame(angle, converter) {
+        this.modelGroup.rotation.set(0, angle, 0);
+        const source = this.sharedRenderer.render(this.view);
+        return this.pipeline.convertNow(source, this.cols, this.rows, converter);
+    }
 
-            const charIndex = Math.floor(brightness * (this.asciiChars.length - 1));
-            const char = this.asciiChars[charIndex];
+    saveRotation() {
+        return this.modelGroup.rotation.clone();
+    }
 
-            asciiStr += char;
+    restoreRotation(rotation) {
+        this.modelGroup.rotation.copy(rotation);
+    }
 
-            if ((i + 1) % this.cols === 0) {
-                asciiStr += "\n";
-            }
-        }
+    // ===== ACCESSIBILITY (see accessibility.js) =====
+    // Screen readers get a name for the picture instead of its glyphs
+    labelLayer() {
+        if (this.unlabel) this.unlabel();
+        this.unlabel = labelASCIILayer(this.canvas, this.options.label || defaultASCIILabel(this.modelPath));
+    }
 
-        this.canvas.innerText = asciiStr;
+    // Motion off: the model at rest, converted on the spot (PerformanceGovernor
+    // asks again whenever it changes)
+    renderStill() {
+        if (this.isResizing || this.isRecording) return false;
+        if (!this.model || this.cols < 1 || this.rows < 1) return true; // Drawn once loaded / shown
+        if (this.transition) this.finishTransition();
+
+        this.modelGroup.rotation.set(0, 0, 0);
+        const source = this.sharedRenderer.render(this.view);
+        this.lastFrame = this.pipeline.convertNow(source, this.cols, this.rows);
+        this.output.draw(this.lastFrame);
+        return true;
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // One frame, called by PerformanceGovernor while the hero is visible
+    update() {
+        // record() drives the model and renderer itself
+        if (this.isRecording) return;
+
+        if (this.interaction) this.applyInteraction();
 
         if (this.modelGroup) {
             this.modelGroup.rotation.y += (this.targetRotationY - this.modelGroup.rotation.y) * 0.1;
             this.modelGroup.rotation.x += (this.targetRotationX - this.modelGroup.rotation.x) * 0.1;
         }
 
-        this.renderer.render(this.scene, this.camera);
+        // The 3D pass is never shown directly, so only draw it when ASCII updates
+        if (this.frameCount % this.asciiUpdateInterval === 0) {
+            this.frame = this.sharedRenderer.render(this.view);
+        }
         this.renderASCII();
         this.frameCount++;
     }
 }
 
 // ===== THREE.JS ENGINE (Content Sections) =====
-class ThreeJSEngine {
-    constructor(sectionId, modelPath) {
+class ThreeJSEngine extends ASCIIEngine {
+    // options.output: 'text' (DOM text, default) or 'canvas' (glyph atlas)
+    // options.color / palette / colorLevels / tint: per-cell color (see ASCIIConverter)
+    // options.strategy: 'luminance' (default), 'edge', 'bayer' or 'floyd-steinberg'
+    // options.chars: character set, sorted by measured ink unless calibrate: false
+    // options.levels / levelsSmoothing: contrast stretch ('fixed' default, 'auto' histogram levels)
+    // options.preset / material / lights: look of the model (see presets.js, default 'section')
+    // options.mtl: false skips the model's MTL files
+    // options.retries / retryDelay: model load retries (default 2, from 1000 ms doubling)
+    // options.poster: static ASCII shown without WebGL (default posters/<model>.txt)
+    // options.interaction: InteractionController options, or false (see interaction.js;
+    //   section default: drag and zoom, no hover tilt)
+    // options.timeline: entrance/idle/exit/scroll animation, a TIMELINE_PRESETS name
+    //   ('spin' default, 'scroll', 'float') or a timeline object (see timeline.js)
+    // options.reveal: RevealMask options (radius, shape, trail, touch, focus, sweep),
+    //   or false for no ASCII reveal (see reveal.js)
+    // options.interval: ASCII update every N frames (default 3)
+    // options.label: what screen readers hear instead of the glyphs (default from the model name)
+    // options.background: behind exported frames (default: the page color showing behind the ASCII)
+    // Events: 'progress' { loaded, total }, 'load' { model } (also after setModel),
+    //   'error' { error } (poster shown)
+    // sectionId: suffix of the pixel-canvas-/ascii-canvas-/canvas-container- ids,
+    // or the container element itself
+    constructor(sectionId, modelPath, options = {}) {
+        super();
         this.sectionId = sectionId;
-        this.pixelCanvas = document.getElementById(`pixel-canvas-${sectionId}`);
-        this.asciiCanvas = document.getElementById(`ascii-canvas-${sectionId}`);
-        this.container = document.getElementById(`canvas-container-${sectionId}`);
+        this.modelPath = modelPath;
+        this.options = options;
+        this.preset = resolvePreset(options.preset, options, 'section');
+        this.createdLayers = [];
+        if (sectionId instanceof Element) {
+            // Mounted on a container (see mount.js): missing layers are made here
+            this.container = sectionId;
+            this.pixelCanvas = this.findLayer('canvas', 'pixel-canvas');
+            this.asciiCanvas = this.findLayer('div', 'ascii-canvas');
+        } else {
+            this.pixelCanvas = document.getElementById(`pixel-canvas-${sectionId}`);
+            this.asciiCanvas = document.getElementById(`ascii-canvas-${sectionId}`);
+            this.container = document.getElementById(`canvas-container-${sectionId}`);
+        }
+        this.asciiElement = this.asciiCanvas;
+        this.hostElement = this.container;
 
-        // Mouse tracking
-        this.mouseX = 0;
-        this.mouseY = 0;
+        // Rotation the model eases towards (set from the interaction controller)
         this.targetRotationX = 0;
         this.targetRotationY = 0;
 
-        // Mask position (Start off-screen)
-        this.maskX = -1;
-        this.maskY = -1;
-        this.targetMaskX = -1;
-        this.targetMaskY = -1;
-
-        // ASCII Settings (Responsive - smaller on mobile)
-        const isMobile = window.innerWidth < 768;
-        this.charWidth = isMobile ? 4 : 6;  // Match font width
-        this.charHeight = isMobile ? 6.67 : 10; // Match font height
-        this.asciiChars = ".₹$€£";
+        // ASCII Settings (cell size follows the CSS font, smaller on mobile)
+        this.gridScale = 1; // Cell size multiplier (PerformanceGovernor)
+        this.updateCharMetrics();
+        this.asciiChars = options.chars || ".₹$€£";
 
         // Performance
         this.frameCount = 0;
-        this.asciiUpdateInterval = 3; // Update ASCII every N frames
-        this.isVisible = false; // Only render when visible
+        this.baseUpdateInterval = options.interval || 3; // Update ASCII every N frames (the governor may add more)
+        this.asciiUpdateInterval = this.baseUpdateInterval;
 
         // Initialize
-        this.hasEntered = false;
-        this.spinSpeed = 0.35; // Start fast (approx 360 deg spin)
-        this.initASCIIHelpers();
+        this.timeline = new ModelTimeline(options.timeline);
+        this.labelLayer();
+
+        if (!supportsWebGL()) {
+            this.showPoster(new Error('WebGL is not available'));
+            return;
+        }
+
+        this.initASCIIHelpers({
+            alphaThreshold: 50, // Background (transparent) -> '.'
+            backgroundChar: '.'
+        });
         this.initThreeJS();
         this.initEventListeners();
-        this.setupObserver(); // New observer
         this.loadModel(modelPath);
-        this.animate();
-    }
 
-    initASCIIHelpers() {
-        this.smallCanvas = document.createElement('canvas');
-        this.smallCtx = this.smallCanvas.getContext('2d', { willReadFrequently: true });
-        this.smallCtx.imageSmoothingEnabled = false;
+        // Rendered by the governor's loop only while the section is on screen
+        PerformanceGovernor.get().register(this, this.container);
+    }
 
-        this.updateDimensions();
+    findLayer(tag, className) {
+        let layer = this.container.querySelector(`.${className}`);
+        if (!layer) {
+            layer = document.createElement(tag);
+            layer.className = className;
+            this.container.appendChild(layer);
+            this.createdLayers.push(layer);
+        }
+        return layer;
     }
 
     updateDimensions() {
@@ -368,25 +750,27 @@ class ThreeJSEngine {
         const width = this.container.clientWidth || 590;
         const height = this.container.clientHeight || 642;
 
-        // Update ASCII Helpers
-        if (this.smallCanvas) {
-            const cols = Math.floor(width / this.charWidth);
-            const rows = Math.floor(height / this.charHeight);
-
-            this.smallCanvas.width = cols;
-            this.smallCanvas.height = rows;
-            this.cols = cols;
-            this.rows = rows;
-        }
+        // Update ASCII grid
+        this.cols = Math.floor(width / this.charWidth);
+        this.rows = Math.floor(height / this.charHeight);
 
         // Update ThreeJS
-        if (this.camera && this.renderer) {
+        if (this.camera && this.view) {
             this.camera.aspect = width / height;
             this.camera.updateProjectionMatrix();
-            this.renderer.setSize(width, height);
+            this.view.width = width;
+            this.view.height = height;
+            this.sharedRenderer.fit();
+            this.resizePixelCanvas(width, height);
         }
     }
 
+    resizePixelCanvas(width, height) {
+        const pixelRatio = this.sharedRenderer.renderer.getPixelRatio();
+        this.pixelCanvas.width = Math.floor(width * pixelRatio);
+        this.pixelCanvas.height = Math.floor(height * pixelRatio);
+    }
+
     initThreeJS() {
         this.scene = new THREE.Scene();
         this.scene.background = null; // Transparent background
@@ -398,129 +782,68 @@ class ThreeJSEngine {
         this.camera = new THREE.PerspectiveCamera(35, aspect, 0.1, 1000);
         this.camera.position.z = 15;
 
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.pixelCanvas,
-            antialias: true,
-            alpha: true, // Enable transparency
-            preserveDrawingBuffer: true
-        });
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.setSize(width, height);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        // Rendered through the shared context, then copied into our 2D canvas
+        this.sharedRenderer = SharedRenderer.get();
+        this.view = { scene: this.scene, camera: this.camera, width, height };
+        this.sharedRenderer.register(this.view);
+
+        this.pixelCtx = this.pixelCanvas.getContext('2d');
+        this.resizePixelCanvas(width, height);
 
         // Lights
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6); // Increased for better fill
-        this.scene.add(ambientLight);
-
-        const keyLight = new THREE.DirectionalLight(0xffffff, 1.0); // Slightly increased
-        keyLight.position.set(5, 5, 10); // Moved further out for better shadows
-        keyLight.castShadow = true;
-        keyLight.shadow.mapSize.width = 1024;
-        keyLight.shadow.mapSize.height = 1024;
-        this.scene.add(keyLight);
-
-        const fillLight = new THREE.DirectionalLight(0xeef4ff, 0.5);
-        fillLight.position.set(-1, -1, 1).normalize();
-        this.scene.add(fillLight);
-
-        // Rim Light (Back)
-        const rimLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        rimLight.position.set(0, 2, -2).normalize();
-        this.scene.add(rimLight);
-
-        // Extra Fill (Left Side)
-        const sideLight = new THREE.DirectionalLight(0xeef4ff, 0.4);
-        sideLight.position.set(-2, 0, 0).normalize();
-        this.scene.add(sideLight);
+        this.lights = addPresetLights(this.scene, this.preset.lights);
 
+        // Posed by the timeline each frame once the model is in
         this.modelGroup = new THREE.Group();
-        this.modelGroup.position.y = -8; // Start below view
         this.scene.add(this.modelGroup);
     }
 
-    loadModel(modelPath) {
-        if (typeof THREE.OBJLoader === 'undefined') {
-            console.warn('OBJLoader not available');
-            return;
-        }
-
-        const loader = new THREE.OBJLoader();
-
-        loader.load(
-            modelPath,
-            (object) => {
-                const material = new THREE.MeshStandardMaterial({
-                    color: 0x7991FB, // Lighter blue
-                    metalness: 0.70,
-                    roughness: 0.25,
-                    flatShading: false,
-                    side: THREE.DoubleSide
-                });
-
-                object.traverse((child) => {
-                    if (child instanceof THREE.Mesh) {
-                        child.material = material;
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-                    }
-                });
+    // ===== LOADING (see loading.js) =====
+    showPoster(error) {
+        this.container.classList.add('is-poster'); // Unmasked ASCII, no 3D layer
+        super.showPoster(error);
+    }
 
-                const box = new THREE.Box3().setFromObject(object);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
+    // 4 units across its largest side, shrunk if a narrow container would crop it
+    fitObject(object) {
+        const { size, center } = object.userData.bounds;
 
-                const maxDim = Math.max(size.x, size.y, size.z);
-                const scale = 4 / maxDim;
+        const dist = this.camera.position.z;
+        const vFOV = (this.camera.fov * Math.PI) / 180;
+        const visibleHeight = 2 * Math.tan(vFOV / 2) * dist;
+        const visibleWidth = visibleHeight * this.camera.aspect;
 
-                object.position.set(-center.x * scale, -center.y * scale, -center.z * scale);
-                object.scale.setScalar(scale);
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const scale = Math.min(4, visibleWidth * 0.8, visibleHeight * 0.8) / maxDim;
 
-                this.modelGroup.add(object);
-                this.model = object;
-            },
-            (xhr) => { },
-            (error) => {
-                console.error('Error loading model:', error);
-            }
+        object.scale.setScalar(scale);
+        object.position.set(
+            -center.x * scale,
+            -center.y * scale,
+            -center.z * scale
         );
     }
 
     initEventListeners() {
-        window.addEventListener('resize', () => {
-            this.updateDimensions();
-        });
-
-        this.container.addEventListener('mousemove', (e) => {
-            const rect = this.container.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-
-            this.mouseX = (x / rect.width) * 2 - 1;
-            this.mouseY = (y / rect.height) * 2 - 1;
-
-            // Mouse tilt removed per user request (Cover only)
-            // this.targetRotationY = this.mouseX * maxTilt;
-            // this.targetRotationX = this.mouseY * maxTilt * 0.5;
+        this.stopResizeObserver = observeResize(this.container, change => this.handleResize(change));
 
-            this.targetMaskX = x / rect.width;
-            this.targetMaskY = y / rect.height;
-        });
+        // Cells were measured in the fallback font until IBM Plex Mono arrives
+        if (document.fonts) {
+            document.fonts.ready.then(() => this.handleResize({ pixelRatioChanged: false }));
+        }
 
-        this.container.addEventListener('mouseleave', () => {
-            this.targetMaskX = -1;
-            this.targetMaskY = -1;
-        });
-    }
+        // Mouse, finger and focus reveal the ASCII layer
+        if (this.options.reveal !== false) {
+            this.reveal = new RevealMask(this.container, this.options.reveal);
+        }
 
-    setupObserver() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                this.isVisible = entry.isIntersecting;
+        // Hover tilt stays off: the mouse drives the reveal mask here
+        if (this.options.interaction !== false) {
+            this.interaction = new InteractionController(this.container, {
+                hover: false,
+                ...this.options.interaction
             });
-        }, { threshold: 0.1 }); // 10% visible
-
-        observer.observe(this.container);
+        }
     }
 
     renderASCII() {
@@ -531,81 +854,160 @@ class ThreeJSEngine {
             return;
         }
 
-        this.smallCtx.clearRect(0, 0, this.cols, this.rows);
-        this.smallCtx.drawImage(this.pixelCanvas, 0, 0, this.cols, this.rows);
-        const imageData = this.smallCtx.getImageData(0, 0, this.cols, this.rows);
-        const data = imageData.data;
+        if (this.transition) {
+            this.renderTransition();
+            return;
+        }
 
-        let asciiStr = "";
+        const source = {
+            canvas: this.pixelCanvas,
+            x: 0,
+            y: 0,
+            width: this.pixelCanvas.width,
+            height: this.pixelCanvas.height
+        };
+
+        // Conversion may finish asynchronously in the ASCII worker
+        this.pipeline.convert(source, this.cols, this.rows, (frame) => {
+            // Stale once a transition took over, or a still frame was drawn
+            if (this.failed || this.transition || MotionPreference.get().still) return;
+            this.lastFrame = frame;
+            this.output.draw(frame);
+        });
+    }
 
-        for (let i = 0; i < this.cols * this.rows; i++) {
-            const r = data[i * 4];
-            const g = data[i * 4 + 1];
-            const b = data[i * 4 + 2];
-            const a = data[i * 4 + 3];
+    // ===== LAYOUT (see layout.js) =====
+    // Container resized, a CSS breakpoint changed the font, or the pixel ratio changed
+    handleResize({ pixelRatioChanged }) {
+        if (this.destroyed) return;
+        if (pixelRatioChanged) PerformanceGovernor.get().refresh();
 
-            if (a < 50) {
-                // Background (transparent) -> Use '.'
-                asciiStr += ".";
-            } else {
-                let brightness = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+        this.updateCharMetrics();
+        this.updateDimensions();
+        this.fitModel();
+        PerformanceGovernor.get().requestFrame(this);
+    }
 
-                // Contrast stretching: Map 0.15-0.55 to 0.0-1.0 to use full ramp
-                brightness = (brightness - 0.15) * 3.0;
-                brightness = Math.max(0, Math.min(1, brightness));
+    // ===== QUALITY (see performance.js) =====
+    applyQuality(quality) {
+        this.asciiUpdateInterval = this.baseUpdateInterval + quality.interval;
+        setShadowQuality(this.lights, quality.shadows);
+        this.setGridScale(1 / quality.density);
+        this.resizePixelCanvas(this.view.width, this.view.height); // Pixel ratio may have changed
+        PerformanceGovernor.get().requestFrame(this);
+    }
 
-                const charIndex = Math.floor(brightness * (this.asciiChars.length - 1));
-                const char = this.asciiChars[charIndex];
-                asciiStr += char;
-            }
+    // ===== EXPORT (see export.js) =====
+    // Front-facing, at rest (no timeline offsets), no mouse tilt
+    captureFrame(angle, converter) {
+        this.modelGroup.rotation.set(0, angle, 0);
+        this.modelGroup.position.set(0, 0, 0);
+        this.modelGroup.scale.setScalar(1);
+        this.model.rotation.set(0, 0, 0);
+        const source = this.sharedRenderer.render(this.view);
+        return this.pipeline.convertNow(source, this.cols, this.rows, converter);
+    }
 
-            if ((i + 1) % this.cols === 0) {
-                asciiStr += "\n";
-            }
-        }
+    saveRotation() {
+        return {
+            group: this.modelGroup.rotation.clone(),
+            model: this.model.rotation.clone(),
+            position: this.modelGroup.position.clone(),
+            scale: this.modelGroup.scale.clone()
+        };
+    }
 
-        this.asciiCanvas.innerText = asciiStr;
+    restoreRotation(saved) {
+        this.modelGroup.rotation.copy(saved.group);
+        this.model.rotation.copy(saved.model);
+        this.modelGroup.position.copy(saved.position);
+        this.modelGroup.scale.copy(saved.scale);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // ===== TIMELINE (see timeline.js) =====
+    // PerformanceGovernor calls this as the section enters or leaves the viewport
+    onVisibilityChange(visible) {
+        this.timeline.setVisible(visible);
+        if (this.reveal) this.reveal.setVisible(visible);
+    }
 
-        // Only render if visible
-        if (!this.isVisible) return;
+    applyTimeline() {
+        const now = performance.now();
+        const pose = this.timeline.update(now, scrollProgress(this.container));
+        this.modelGroup.position.set(pose.positionX, pose.positionY, pose.positionZ);
+        this.modelGroup.rotation.set(pose.rotationX, pose.rotationY, pose.rotationZ);
+        this.modelGroup.scale.setScalar(pose.scale);
+
+        // Interaction only once the entrance has played
+        if (!this.timeline.isEntering(now)) {
+            this.model.rotation.y += (this.targetRotationY - this.model.rotation.y) * 0.1;
+            this.model.rotation.x += (this.targetRotationX - this.model.rotation.x) * 0.1;
+        }
+        if (this.transition) this.transition.to.rotation.copy(this.model.rotation);
+    }
 
-        if (this.modelGroup) {
-            // Apply current spin speed
-            this.modelGroup.rotation.y += this.spinSpeed;
+    // ===== ACCESSIBILITY (see accessibility.js) =====
+    // The ASCII layer carries the name; the 3D layer shows the same picture
+    labelLayer() {
+        if (this.unlabel) this.unlabel();
+        this.pixelCanvas.setAttribute('aria-hidden', 'true');
+        this.unlabel = labelASCIILayer(this.asciiCanvas, this.options.label || defaultASCIILabel(this.modelPath));
+    }
 
-            // Decay speed towards idle (0.002)
-            this.spinSpeed += (0.002 - this.spinSpeed) * 0.05;
+    // Motion off: the model at its resting pose, converted on the spot
+    // (PerformanceGovernor asks again whenever it changes)
+    renderStill() {
+        if (this.isRecording) return false;
+        if (!this.model || this.cols < 1 || this.rows < 1) return true; // Drawn once loaded / shown
+        if (this.transition) this.finishTransition();
+
+        this.modelGroup.position.set(0, 0, 0);
+        this.modelGroup.rotation.set(0, 0, 0);
+        this.modelGroup.scale.setScalar(1);
+        this.model.rotation.set(0, 0, 0);
+        if (this.reveal) this.reveal.update(performance.now());
+
+        const frame = this.sharedRenderer.render(this.view);
+        this.pixelCtx.clearRect(0, 0, this.pixelCanvas.width, this.pixelCanvas.height);
+        this.pixelCtx.drawImage(
+            frame.canvas, frame.x, frame.y, frame.width, frame.height,
+            0, 0, this.pixelCanvas.width, this.pixelCanvas.height
+        );
+        this.lastFrame = this.pipeline.convertNow(frame, this.cols, this.rows);
+        this.output.draw(this.lastFrame);
+        return true;
+    }
 
-            if (!this.hasEntered) {
-                // ENTRANCE POSITION (Move up)
-                this.modelGroup.position.y += (0 - this.modelGroup.position.y) * 0.04;
+    // ===== TEARDOWN =====
+    // Also the reveal mask, the layers made for a bare container and the 3D layer
+    destroy() {
+        if (this.destroyed) return;
+        super.destroy();
 
-                // Check completion
-                if (this.modelGroup.position.y > -0.1) {
-                    this.hasEntered = true;
-                    this.modelGroup.position.y = 0;
-                }
-            } else {
-                if (this.model) {
-                    // IDLE MOUSE INTERACTION (Only after entrance)
-                    this.model.rotation.y += (this.targetRotationY - this.model.rotation.y) * 0.1;
-                    this.model.rotation.x += (this.targetRotationX - this.model.rotation.x) * 0.1;
-                }
-            }
-        }
+        if (this.reveal) this.reveal.destroy();
+        this.container.classList.remove('is-poster');
+        this.createdLayers.forEach(layer => layer.remove());
+        if (this.pixelCtx) this.pixelCtx.clearRect(0, 0, this.pixelCanvas.width, this.pixelCanvas.height);
+    }
+
+    // One frame, called by PerformanceGovernor while the section is visible
+    update() {
+        // record() drives the model and renderer itself
+        if (this.isRecording) return;
 
-        const maskEasing = 0.2;
-        this.maskX += (this.targetMaskX - this.maskX) * maskEasing;
-        this.maskY += (this.targetMaskY - this.maskY) * maskEasing;
+        if (this.interaction) this.applyInteraction();
 
-        this.container.style.setProperty('--mask-x', `${this.maskX * 100}%`);
-        this.container.style.setProperty('--mask-y', `${this.maskY * 100}%`);
+        // The timeline starts once there is a model to show
+        if (this.model) this.applyTimeline();
 
-        this.renderer.render(this.scene, this.camera);
+        if (this.reveal) this.reveal.update(performance.now());
+
+        const frame = this.sharedRenderer.render(this.view);
+        this.pixelCtx.clearRect(0, 0, this.pixelCanvas.width, this.pixelCanvas.height);
+        this.pixelCtx.drawImage(
+            frame.canvas, frame.x, frame.y, frame.width, frame.height,
+            0, 0, this.pixelCanvas.width, this.pixelCanvas.height
+        );
         this.renderASCII();
         this.frameCount++;
     }
@@ -0,0 +1,418 @@
+/**
+ * Xflow AI Hackathon 2026 - Event Content
+ *
+ * loadEvent: Fetches the event file and checks it against events/event.schema.json.
+ * ?event=<name> loads events/<name>.json, otherwise events/index.json names it
+ * validateEvent: Checks data against a JSON Schema (the keywords our schema uses)
+ * renderEvent: Fills the page meta, hero text, nav and sections from an event,
+ * then mounts the models (see mount.js)
+ * showEventError: Explains on the page why the event could not be shown
+ */
+
+const EVENT_DIRECTORY = 'events/';
+const EVENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i; // Keeps ?event= inside events/
+
+// ===== LOADING =====
+function fetchJSON(url) {
+    return fetch(url).then((response) => {
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    });
+}
+
+function loadEvent(search = window.location.search) {
+    const requested = new URLSearchParams(search).get('event');
+    const name = requested
+        ? Promise.resolve(requested)
+        : fetchJSON(`${EVENT_DIRECTORY}index.json`).then(index => index.current);
+
+    return name.then((eventName) => {
+        if (!EVENT_NAME_PATTERN.test(eventName || '')) {
+            throw new Error(`Not an event name: "${eventName}"`);
+        }
+        return Promise.all([
+            fetchJSON(`${EVENT_DIRECTORY}event.schema.json`),
+            fetchJSON(`${EVENT_DIRECTORY}${eventName}.json`)
+        ]);
+    }).then(([schema, event]) => {
+        const errors = validateEvent(event, schema);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid event file (${errors.length} problem${errors.length > 1 ? 's' : ''})`);
+            error.problems = errors;
+            throw error;
+        }
+        return event;
+    });
+}
+
+// ===== VALIDATION =====
+// Supports $ref (local), oneOf, const, enum, type, required, properties,
+// additionalProperties (false or a schema), items, minItems, minLength and pattern.
+// -> ['sections[2].blocks[0].text: expected string', ...] (empty when valid)
+function validateEvent(event, schema) {
+    const errors = [];
+    checkSchema(event, schema, '', schema, errors);
+    return errors;
+}
+
+function schemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function checkSchema(value, schema, path, root, errors) {
+    const at = path || '(event)';
+
+    if (schema.$ref) {
+        const target = resolveSchema(schema, root);
+        if (!target) {
+            errors.push(`${at}: unknown schema reference ${schema.$ref}`);
+            return;
+        }
+        checkSchema(value, target, path, root, errors);
+        return;
+    }
+
+    if (schema.oneOf) {
+        // Branches told apart by a "type" const report that branch's problems
+        const branches = schema.oneOf.map(branch => resolveSchema(branch, root)).filter(Boolean);
+        const typed = branches.find(branch =>
+            branch.properties && branch.properties.type && value && branch.properties.type.const === value.type);
+        if (typed) {
+            checkSchema(value, typed, path, root, errors);
+        } else {
+            const matches = branches.filter(branch => {
+                const branchErrors = [];
+                checkSchema(value, branch, path, root, branchErrors);
+                return branchErrors.length === 0;
+            });
+            if (matches.length !== 1) {
+                const kinds = branches
+                    .map(branch => branch.properties && branch.properties.type && branch.properties.type.const)
+                    .filter(Boolean);
+                errors.push(`${at}: ` + (kinds.length > 0
+                    ? `type must be one of ${kinds.join(', ')}`
+                    : `matches ${matches.length} of the allowed shapes, not exactly one`));
+            }
+        }
+        return;
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        return;
+    }
+
+    if (schema.type) {
+        const actual = schemaType(value);
+        const ok = schema.type === actual ||
+            (schema.type === 'integer' && Number.isInteger(value));
+        if (!ok) {
+            errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+            return;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: does not match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: needs at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, root, errors));
+        }
+    }
+
+    if (schemaType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key}: missing`);
+        });
+        Object.keys(value).forEach((key) => {
+            const child = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                checkSchema(value[key], properties[key], child, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${child}: not allowed here`);
+            } else if (schema.additionalProperties) {
+                checkSchema(value[key], schema.additionalProperties, child, root, errors);
+            }
+        });
+    }
+}
+
+// Follows local references ("#/definitions/block"); null if one leads nowhere
+function resolveSchema(schema, root) {
+    if (!schema || !schema.$ref) return schema || null;
+    const target = schema.$ref.replace(/^#\//, '').split('/')
+        .reduce((node, key) => (node ? node[key] : undefined), root);
+    return resolveSchema(target, root);
+}
+
+// ===== RENDERING =====
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+// Event text is data, never HTML: **bold**, {{term|tooltip}} and blank
+// lines (a paragraph break) are the only markup
+function appendEventText(element, text) {
+    text.split(/\n\s*\n/).forEach((paragraph, i) => {
+        if (i > 0) {
+            element.appendChild(document.createElement('br'));
+            element.appendChild(document.createElement('br'));
+        }
+
+        const markup = /\*\*(.+?)\*\*|\{\{(.+?)\|(.+?)\}\}/g;
+        let last = 0;
+        let match;
+        while ((match = markup.exec(paragraph)) !== null) {
+            element.appendChild(document.createTextNode(paragraph.slice(last, match.index)));
+            if (match[1] !== undefined) {
+                element.appendChild(createElement('strong', null, match[1]));
+            } else {
+                const term = createElement('span', 'tooltip', match[2]);
+                term.dataset.tooltip = match[3];
+                element.appendChild(term);
+            }
+            last = markup.lastIndex;
+        }
+        element.appendChild(document.createTextNode(paragraph.slice(last)));
+    });
+    return element;
+}
+
+function textElement(tag, className, text) {
+    return appendEventText(createElement(tag, className), text);
+}
+
+function listElement(items, className) {
+    const list = createElement('ul', className);
+    items.forEach(item => list.appendChild(textElement('li', null, item)));
+    return list;
+}
+
+// One element per block; each becomes a direct child of .section-body-container
+const EVENT_BLOCKS = {
+    paragraph(block) {
+        return textElement('p', 'section-body', block.text);
+    },
+
+    verticals(block) {
+        const list = createElement('div', 'verticals-list');
+        block.items.forEach((item) => {
+            const entry = createElement('div', 'vertical-item');
+            entry.appendChild(createElement('h3', null, item.title));
+            entry.appendChild(textElement('p', null, item.text));
+            list.appendChild(entry);
+        });
+        return list;
+    },
+
+    timeline(block) {
+        const list = createElement('div', 'timeline-list');
+        block.items.forEach((item) => {
+            const entry = createElement('div', 'timeline-item');
+            // Read by the event clock (see clock.js)
+            if (item.start) entry.dataset.start = item.start;
+            if (item.end) entry.dataset.end = item.end;
+            entry.appendChild(createElement('div', 'timeline-date', item.date));
+            entry.appendChild(createElement('h3', null, item.title));
+            entry.appendChild(textElement('p', null, item.text));
+            list.appendChild(entry);
+        });
+        return list;
+    },
+
+    // The event clock points it at the generated .ics
+    calendar(block) {
+        const link = createElement('a', 'calendar-link', block.label);
+        link.download = block.file;
+        link.hidden = true; // Until there is a calendar to download
+        return link;
+    },
+
+    rules(block) {
+        const grid = createElement('div', 'rules-grid');
+        block.groups.forEach((group) => {
+            const rule = createElement('div', 'rule-item');
+            rule.appendChild(createElement('h3', null, group.title));
+            rule.appendChild(listElement(group.items));
+            grid.appendChild(rule);
+        });
+        return grid;
+    },
+
+    time(block) {
+        const time = createElement('div', 'demo-time');
+        time.appendChild(createElement('h3', null, block.title));
+        time.appendChild(textElement('p', null, block.text));
+        return time;
+    },
+
+    format(block) {
+        const details = createElement('div', 'demo-details');
+
+        const format = createElement('div', 'demo-format');
+        format.appendChild(createElement('h3', null, block.format.title));
+        format.appendChild(listElement(block.format.items));
+        details.appendChild(format);
+
+        const criteria = createElement('div', 'demo-table-container');
+        criteria.appendChild(createElement('h3', null, block.criteria.title));
+        const table = createElement('table', 'criteria-table');
+        const body = document.createElement('tbody');
+        block.criteria.items.forEach((criterion) => {
+            const row = document.createElement('tr');
+            row.appendChild(createElement('td', null, criterion.name));
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        criteria.appendChild(table);
+        details.appendChild(criteria);
+
+        return details;
+    },
+
+    judges(block) {
+        const panel = createElement('div', 'judges-panel');
+        panel.appendChild(createElement('h3', null, block.title));
+        panel.appendChild(listElement(block.names));
+        return panel;
+    },
+
+    prizes(block) {
+        const grid = createElement('div', 'prizes-grid');
+        block.cards.forEach((card) => {
+            const prize = createElement('div', `prize-card${card.tier ? ` ${card.tier}` : ''}`);
+            prize.appendChild(createElement('h3', null, card.title));
+            prize.appendChild(textElement('p', 'prize-desc', card.description));
+            card.amounts.forEach(amount => prize.appendChild(createElement('div', 'prize-amount', amount)));
+            grid.appendChild(prize);
+        });
+        return grid;
+    },
+
+    honors(block) {
+        const honors = createElement('div', 'bonus-prizes');
+        const line = document.createElement('p');
+        line.appendChild(createElement('strong', null, block.label));
+        line.appendChild(document.createTextNode(` ${block.items.join(' · ')}.`));
+        honors.appendChild(line);
+        return honors;
+    },
+
+    // Team application with live rule checks and drafts (see application.js)
+    application(block, event) {
+        return new ApplicationForm(block, event.name).element;
+    }
+};
+
+function renderSection(section, event) {
+    const element = createElement('section', 'content-section');
+    element.id = section.id;
+    // Its own text animation order (TextSequence steps, see text-effects.js)
+    if (section.sequence) element.dataset.sequence = JSON.stringify(section.sequence);
+
+    const container = createElement('div', 'section-container');
+    const text = createElement('div', 'section-text');
+    const heading = createElement('div', 'section-heading');
+    heading.appendChild(createElement('h1', null, section.heading));
+    text.appendChild(heading);
+
+    const body = createElement('div', 'section-body-container');
+    section.blocks.forEach(block => body.appendChild(EVENT_BLOCKS[block.type](block, event)));
+    text.appendChild(body);
+    container.appendChild(text);
+
+    if (section.model) {
+        const stage = createElement('div', 'section-3d');
+        const canvasContainer = createElement('div', 'canvas-container');
+        writeMountOptions(canvasContainer, section.model.path, section.model.options);
+        stage.appendChild(canvasContainer);
+        container.appendChild(stage);
+    }
+
+    element.appendChild(container);
+    return element;
+}
+
+function setMeta(selector, content) {
+    const meta = document.querySelector(selector);
+    if (meta && content !== undefined) meta.setAttribute('content', content);
+}
+
+// The page needs #navLinks, .hero-badge, .hero-date, #hero-ascii-canvas and
+// #event-sections
+function renderEvent(event) {
+    const { meta, hero, sections } = event;
+
+    document.title = meta.title;
+    setMeta('meta[name="description"]', meta.description);
+    setMeta('meta[property="og:title"]', meta.title);
+    setMeta('meta[property="og:description"]', meta.description);
+    setMeta('meta[property="og:image"]', meta.image);
+    setMeta('meta[name="twitter:title"]', meta.title);
+    setMeta('meta[name="twitter:description"]', meta.description);
+    setMeta('meta[name="twitter:image"]', meta.image);
+
+    document.querySelector('.hero-badge').textContent = hero.badge;
+    const heroDate = document.querySelector('.hero-date');
+    heroDate.textContent = hero.date;
+    if (hero.live) {
+        heroDate.dataset.liveStart = hero.live.start;
+        heroDate.dataset.liveEnd = hero.live.end;
+    }
+    const heroCanvas = document.getElementById('hero-ascii-canvas');
+    heroCanvas.dataset.xflowEngine = 'hero';
+    writeMountOptions(heroCanvas, hero.model.path, hero.model.options);
+
+    const nav = document.getElementById('navLinks');
+    nav.textContent = '';
+    const home = createElement('a', 'nav-link active', 'Home');
+    home.href = '#home';
+    nav.appendChild(home);
+    sections.forEach((section) => {
+        const link = createElement('a', 'nav-link', section.nav);
+        link.href = `#${section.id}`;
+        nav.appendChild(link);
+    });
+
+    const main = document.getElementById('event-sections');
+    main.textContent = '';
+    sections.forEach(section => main.appendChild(renderSection(section, event)));
+
+    // The nav's Apply button goes to the section with the application form
+    const form = main.querySelector('.application-form');
+    const apply = document.querySelector('.apply-btn');
+    if (form && apply) {
+        apply.href = `#${form.closest('section').id}`;
+        apply.hidden = false;
+    }
+
+    mountEngines();
+    return event;
+}
+
+function showEventError(error) {
+    console.error('Error loading event:', error);
+    const notice = createElement('pre', 'event-error', `Could not load this event.\n\n${error.message}`);
+    (error.problems || []).forEach(problem => notice.appendChild(document.createTextNode(`\n  ${problem}`)));
+    document.getElementById('event-sections').appendChild(notice);
+}
@@ -0,0 +1,403 @@
+/**
+ * Xflow AI Hackathon 2026 - ASCII Export
+ *
+ * ASCIIExport: Still frames (TXT, SVG, PNG) and recordings (asciicast, GIF)
+ * GIFEncoder: Minimal animated GIF writer (256-color global palette, LZW)
+ *
+ * Engines expose this as engine.exportFrame(format) and engine.record(options).
+ */
+
+// ===== ASCII EXPORT =====
+const ASCIIExport = {
+    // Current on-screen frame. format: 'txt', 'svg' or 'png' -> Promise<Blob>
+    exportFrame(engine, format = 'txt') {
+        const frame = engine.lastFrame;
+        if (!frame) {
+            return Promise.reject(new Error('No ASCII frame rendered yet'));
+        }
+
+        const metrics = engine.exportMetrics();
+        if (format === 'txt') {
+            return Promise.resolve(new Blob([ASCIIExport.toText(frame, metrics)], { type: 'text/plain' }));
+        }
+        if (format === 'svg') {
+            return Promise.resolve(new Blob([ASCIIExport.toSVG(frame, metrics)], { type: 'image/svg+xml' }));
+        }
+        if (format === 'png') {
+            return ASCIIExport.toPNG(frame, metrics);
+        }
+        return Promise.reject(new Error(`Unknown export format: ${format}`));
+    },
+
+    // Renders `seconds` of frames at a fixed rate with the model turning
+    // `turns` full rotations from the front, independent of wall-clock time
+    // and mouse input, so the same options give the same file.
+    // options: { seconds = 4, fps = 12, turns = 1, format = 'cast' | 'gif', scale = 1 }
+    async record(engine, options = {}) {
+        const seconds = options.seconds || 4;
+        const fps = options.fps || 12;
+        const turns = options.turns !== undefined ? options.turns : 1;
+        const format = options.format || 'cast';
+        const count = Math.max(1, Math.round(seconds * fps));
+
+        if (!engine.model) {
+            throw new Error('Model not loaded yet');
+        }
+
+        // Fresh converter: auto-levels start from the same state every time
+        const converter = new ASCIIConverter(engine.pipeline.options);
+        const frames = [];
+
+        engine.isRecording = true;
+        const saved = engine.saveRotation();
+        try {
+            for (let i = 0; i < count; i++) {
+                const angle = (i / count) * turns * Math.PI * 2;
+                frames.push(engine.captureFrame(angle, converter));
+
+                // Let the page breathe between batches
+                if (i % 4 === 3) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            engine.restoreRotation(saved);
+            engine.isRecording = false;
+        }
+
+        const metrics = engine.exportMetrics();
+        if (format === 'gif') {
+            return ASCIIExport.toGIF(frames, fps, metrics, options.scale || 1);
+        }
+        return new Blob([ASCIIExport.toCast(frames, fps, metrics)], { type: 'application/x-asciicast' });
+    },
+
+    toText(frame, metrics) {
+        const lines = [];
+        for (let y = 0; y < frame.rows; y++) {
+            let line = '';
+            for (let x = 0; x < frame.cols; x++) {
+                line += metrics.glyphs[frame.indices[y * frame.cols + x]];
+            }
+            lines.push(line);
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    // Runs of same-colored cells in one row: [{ start, text, color }]
+    rowRuns(frame, metrics, y) {
+        const runs = [];
+        for (let x = 0; x < frame.cols; x++) {
+            const i = y * frame.cols + x;
+            const color = frame.colors
+                ? ASCIIExport.hex(frame.colors[i * 3], frame.colors[i * 3 + 1], frame.colors[i * 3 + 2])
+                : metrics.color;
+            const last = runs[runs.length - 1];
+            if (last && last.color === color) {
+                last.text += metrics.glyphs[frame.indices[i]];
+            } else {
+                runs.push({ start: x, text: metrics.glyphs[frame.indices[i]], color });
+            }
+        }
+        return runs;
+    },
+
+    // First opaque background color from element up: what the ASCII is seen on
+    // (sections render on a transparent canvas)
+    backgroundOf(element) {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            const color = getComputedStyle(node).backgroundColor;
+            const alpha = /^rgba\(/.test(color) ? parseFloat(color.split(',')[3]) : 1;
+            if (color !== 'transparent' && alpha === 1) return color;
+        }
+        return '#1F2741';
+    },
+
+    hex(r, g, b) {
+        return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+    },
+
+    escapeXML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    toSVG(frame, metrics) {
+        const { charWidth, charHeight } = metrics;
+        const width = frame.cols * charWidth;
+        const height = frame.rows * charHeight;
+        const rows = [];
+
+        for (let y = 0; y < frame.rows; y++) {
+            const spans = ASCIIExport.rowRuns(frame, metrics, y).map(run =>
+                `<tspan x="${run.start * charWidth}" fill="${run.color}">${ASCIIExport.escapeXML(run.text)}</tspan>`
+            );
+            rows.push(`<text y="${(y + 0.5) * charHeight}">${spans.join('')}</text>`);
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="100%" height="100%" fill="${metrics.background}"/>`,
+            `<g font-family="${ASCIIExport.escapeXML(metrics.fontFamily)}" font-size="${charHeight}" dominant-baseline="central" xml:space="preserve">`,
+            ...rows,
+            '</g>',
+            '</svg>'
+        ].join('\n');
+    },
+
+    // Draw a frame onto a canvas at `scale` x the on-screen cell size
+    drawFrame(frame, metrics, canvas, scale = 1) {
+        const charWidth = metrics.charWidth * scale;
+        const charHeight = metrics.charHeight * scale;
+        canvas.width = Math.ceil(frame.cols * charWidth);
+        canvas.height = Math.ceil(frame.rows * charHeight);
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.fillStyle = metrics.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = `${metrics.fontWeight} ${charHeight}px ${metrics.fontFamily}`;
+        ctx.textBaseline = 'middle';
+
+        for (let y = 0; y < frame.rows; y++) {
+            ASCIIExport.rowRuns(frame, metrics, y).forEach((run) => {
+                ctx.fillStyle = run.color;
+                ctx.fillText(run.text, run.start * charWidth, (y + 0.5) * charHeight);
+            });
+        }
+        return ctx;
+    },
+
+    toPNG(frame, metrics, scale = 2) {
+        const canvas = document.createElement('canvas');
+        ASCIIExport.drawFrame(frame, metrics, canvas, scale);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    },
+
+    // asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/).
+    // No timestamp in the header, so identical recordings are byte-identical.
+    toCast(frames, fps, metrics) {
+        const first = frames[0];
+        const lines = [JSON.stringify({
+            version: 2,
+            width: first.cols,
+            height: first.rows,
+            title: metrics.title
+        })];
+
+        frames.forEach((frame, i) => {
+            let out = i === 0 ? '\u001b[2J\u001b[H' : '\u001b[H';
+            for (let y = 0; y < frame.rows; y++) {
+                ASCIIExport.rowRuns(frame, metrics, y).forEach((run) => {
+                    if (frame.colors) {
+                        const value = parseInt(run.color.slice(1), 16);
+                        out += `\u001b[38;2;${value >> 16};${(value >> 8) & 255};${value & 255}m`;
+                    }
+                    out += run.text;
+                });
+                out += y < frame.rows - 1 ? '\r\n' : '';
+            }
+            if (frame.colors) out += '\u001b[0m';
+
+            lines.push(JSON.stringify([Number((i / fps).toFixed(6)), 'o', out]));
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    toGIF(frames, fps, metrics, scale = 1) {
+        const canvas = document.createElement('canvas');
+        const color = frames.some(frame => frame.colors);
+        const palette = color
+            ? GIFEncoder.cubePalette()
+            : GIFEncoder.rampPalette(metrics.background, metrics.color);
+        let encoder = null;
+
+        frames.forEach((frame) => {
+            const ctx = ASCIIExport.drawFrame(frame, metrics, canvas, scale);
+            if (!encoder) {
+                encoder = new GIFEncoder(canvas.width, canvas.height, palette);
+            }
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+            const indexed = color ? GIFEncoder.indexCube(pixels) : GIFEncoder.indexRamp(pixels, palette);
+            encoder.addFrame(indexed, Math.round(100 / fps));
+        });
+
+        return new Blob([encoder.finish()], { type: 'image/gif' });
+    },
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+// ===== GIF ENCODER =====
+class GIFEncoder {
+    // palette: 256 [r, g, b] entries
+    constructor(width, height, palette) {
+        this.width = width;
+        this.height = height;
+        this.bytes = [];
+
+        const header = 'GIF89a';
+        for (let i = 0; i < header.length; i++) this.bytes.push(header.charCodeAt(i));
+
+        // Logical screen: global 256-color table, 8-bit color resolution
+        this.word(width);
+        this.word(height);
+        this.bytes.push(0xF7, 0, 0);
+        palette.forEach(color => this.bytes.push(color[0], color[1], color[2]));
+
+        // NETSCAPE2.0 extension: loop forever
+        this.bytes.push(0x21, 0xFF, 0x0B);
+        const app = 'NETSCAPE2.0';
+        for (let i = 0; i < app.length; i++) this.bytes.push(app.charCodeAt(i));
+        this.bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    }
+
+    word(value) {
+        this.bytes.push(value & 255, (value >> 8) & 255);
+    }
+
+    // indexed: palette index per pixel; delay in 1/100 s
+    addFrame(indexed, delay) {
+        this.bytes.push(0x21, 0xF9, 0x04, 0x00);
+        this.word(delay);
+        this.bytes.push(0x00, 0x00);
+
+        this.bytes.push(0x2C);
+        this.word(0);
+        this.word(0);
+        this.word(this.width);
+        this.word(this.height);
+        this.bytes.push(0x00);
+
+        this.bytes.push(8); // LZW minimum code size
+        const data = GIFEncoder.lzw(indexed, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            this.bytes.push(block.length);
+            for (let j = 0; j < block.length; j++) this.bytes.push(block[j]);
+        }
+        this.bytes.push(0x00);
+    }
+
+    finish() {
+        this.bytes.push(0x3B);
+        return new Uint8Array(this.bytes);
+    }
+
+    // Variable-width LZW as specified by GIF89a (codes up to 12 bits)
+    static lzw(indexed, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bits = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bits & 255);
+                bits >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indexed[0];
+        for (let i = 1; i < indexed.length; i++) {
+            const k = indexed[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                // Table full: start over
+                emit(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) out.push(bits & 255);
+
+        return out;
+    }
+
+    // 256 steps from background to text color (monochrome frames)
+    static rampPalette(background, foreground) {
+        const from = ASCIIConverter.parseColor(background);
+        const to = ASCIIConverter.parseColor(foreground);
+        const palette = [];
+        for (let i = 0; i < 256; i++) {
+            const t = i / 255;
+            palette.push(from.map((c, channel) => Math.round(c + (to[channel] - c) * t)));
+        }
+        return palette;
+    }
+
+    // Position of each pixel between the ramp's two ends
+    static indexRamp(pixels, palette) {
+        const from = palette[0];
+        const to = palette[255];
+        const axis = to.map((c, channel) => c - from[channel]);
+        const length = axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2] || 1;
+        const indexed = new Uint8Array(pixels.length / 4);
+
+        for (let i = 0, p = 0; i < indexed.length; i++, p += 4) {
+            const t = ((pixels[p] - from[0]) * axis[0] + (pixels[p + 1] - from[1]) * axis[1]
+                + (pixels[p + 2] - from[2]) * axis[2]) / length;
+            indexed[i] = Math.max(0, Math.min(255, Math.round(t * 255)));
+        }
+        return indexed;
+    }
+
+    // 6x6x6 color cube (216 entries, padded to 256)
+    static cubePalette() {
+        const palette = [];
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 6; g++) {
+                for (let b = 0; b < 6; b++) {
+                    palette.push([r * 51, g * 51, b * 51]);
+                }
+            }
+        }
+        while (palette.length < 256) palette.push([0, 0, 0]);
+        return palette;
+    }
+
+    static indexCube(pixels) {
+        const indexed = new Uint8Array(pixels.length / 4);
+        for (let i = 0, p = 0; i < indexed.length; i++, p += 4) {
+            indexed[i] = Math.round(pixels[p] / 51) * 36 + Math.round(pixels[p + 1] / 51) * 6 + Math.round(pixels[p + 2] / 51);
+        }
+        return indexed;
+    }
+}
+
+// tools/ascii-render.js writes frames with the same formats
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ASCIIExport };
+}
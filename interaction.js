@@ -0,0 +1,257 @@
+/**
+ * Xflow AI Hackathon 2026 - Interaction
+ *
+ * InteractionController: Turns pointer, wheel, keyboard and device-orientation
+ * input on an element into a model rotation and camera zoom. Engines read
+ * update() once a frame and ease towards the result.
+ */
+
+const INTERACTION_DEFAULTS = {
+    hover: true,         // Tilt towards the mouse
+    drag: true,          // Drag (mouse or one finger) to orbit, with momentum
+    zoom: true,          // Pinch, or wheel per `wheel`
+    wheel: 'pinch',      // 'pinch': only trackpad pinches (ctrl+wheel) zoom, so the page still scrolls; 'always'
+    orientation: false,  // Tilt with the phone (asks permission on iOS)
+    keyboard: true,      // Arrow keys orbit, +/- zoom, 0 resets (element becomes focusable)
+    maxTilt: 0.5,        // Radians of hover/orientation tilt at the edge
+    maxPitch: 0.8,       // Radians the orbit may tip up or down
+    minZoom: 0.7,
+    maxZoom: 1.8,
+    dragSpeed: 0.008,    // Radians per CSS pixel dragged
+    keyStep: 0.06,       // Orbit speed added per arrow key press
+    inertia: 0.92        // Share of orbit speed kept each frame after release
+};
+
+// ===== CONTROLLER =====
+class InteractionController {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...INTERACTION_DEFAULTS, ...options };
+
+        this.orbitX = 0;
+        this.orbitY = 0;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.tiltX = 0;
+        this.tiltY = 0;
+        this.zoom = 1;
+
+        this.pointers = new Map(); // pointerId -> { x, y }
+        this.pinchDistance = 0;
+        this.orientationBase = null; // First reading = the phone's resting angle
+
+        this.listeners = [];
+        this.initPointer();
+        if (this.options.zoom) this.initWheel();
+        if (this.options.keyboard) this.initKeyboard();
+        if (this.options.orientation) this.initOrientation();
+    }
+
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // -> { rotationX, rotationY, zoom } for this frame
+    update() {
+        if (this.pointers.size === 0) {
+            this.orbitY += this.velocityY;
+            this.orbitX += this.velocityX;
+            this.velocityX *= this.options.inertia;
+            this.velocityY *= this.options.inertia;
+        }
+        this.orbitX = Math.max(-this.options.maxPitch, Math.min(this.options.maxPitch, this.orbitX));
+
+        return {
+            rotationX: this.orbitX + this.tiltX,
+            rotationY: this.orbitY + this.tiltY,
+            zoom: this.zoom
+        };
+    }
+
+    reset() {
+        this.orbitX = 0;
+        this.orbitY = 0;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.zoom = 1;
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.max(this.options.minZoom, Math.min(this.options.maxZoom, zoom));
+    }
+
+    // ===== POINTER =====
+    initPointer() {
+        const { hover, drag, zoom } = this.options;
+        if (drag || zoom) {
+            // Vertical swipes still scroll the page; sideways drags (and pinches, when zooming) are ours
+            this.element.style.touchAction = zoom ? 'pan-y' : 'pan-y pinch-zoom';
+        }
+
+        this.listen(this.element, 'pointermove', (e) => {
+            if (hover && e.pointerType === 'mouse' && this.pointers.size === 0) {
+                const rect = this.element.getBoundingClientRect();
+                this.tiltY = (((e.clientX - rect.left) / rect.width) * 2 - 1) * this.options.maxTilt;
+                this.tiltX = (((e.clientY - rect.top) / rect.height) * 2 - 1) * this.options.maxTilt * 0.5;
+            }
+
+            const last = this.pointers.get(e.pointerId);
+            if (!last) return;
+
+            if (this.pointers.size === 1 && drag) {
+                const dx = (e.clientX - last.x) * this.options.dragSpeed;
+                const dy = (e.clientY - last.y) * this.options.dragSpeed;
+                this.orbitY += dx;
+                this.orbitX += dy;
+                this.velocityY = dx;
+                this.velocityX = dy;
+            }
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pointers.size === 2 && zoom) {
+                const distance = this.getPinchDistance();
+                if (this.pinchDistance > 0) {
+                    this.setZoom(this.zoom * distance / this.pinchDistance);
+                }
+                this.pinchDistance = distance;
+            }
+        });
+
+        this.listen(this.element, 'pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            if (!drag && !zoom) return;
+            // Capturing would retarget the click away from links and buttons
+            if (e.target.closest('a, button, input, textarea, select')) return;
+
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.velocityX = 0;
+            this.velocityY = 0;
+            this.pinchDistance = this.pointers.size === 2 ? this.getPinchDistance() : 0;
+            if (this.element.setPointerCapture) this.element.setPointerCapture(e.pointerId);
+        });
+
+        const release = (e) => {
+            this.pointers.delete(e.pointerId);
+            this.pinchDistance = 0;
+            // Lifting one finger of a pinch shouldn't fling the model
+            if (this.pointers.size > 0) {
+                this.velocityX = 0;
+                this.velocityY = 0;
+            }
+        };
+        this.listen(this.element, 'pointerup', release);
+        this.listen(this.element, 'pointercancel', release);
+
+        this.listen(this.element, 'pointerleave', (e) => {
+            if (e.pointerType === 'mouse' && this.orientationBase === null) {
+                this.tiltX = 0;
+                this.tiltY = 0;
+            }
+        });
+    }
+
+    getPinchDistance() {
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    initWheel() {
+        this.listen(this.element, 'wheel', (e) => {
+            if (this.options.wheel !== 'always' && !e.ctrlKey) return;
+            e.preventDefault(); // ctrl+wheel would zoom the whole page
+            this.setZoom(this.zoom * Math.exp(-e.deltaY * 0.002));
+        }, { passive: false });
+    }
+
+    // ===== KEYBOARD =====
+    // Focusable, so it gets a role and a name saying what the controls do
+    // (unless the page gave it its own)
+    initKeyboard() {
+        const attributes = { tabindex: '0', role: 'group', 'aria-label': this.describeControls() };
+        this.addedAttributes = Object.keys(attributes).filter(name => !this.element.hasAttribute(name));
+        this.addedAttributes.forEach(name => this.element.setAttribute(name, attributes[name]));
+
+        this.listen(this.element, 'keydown', (e) => {
+            if (e.target !== this.element) return; // Keys meant for a link or field inside
+            const step = this.options.keyStep;
+            switch (e.key) {
+                case 'ArrowLeft': this.velocityY -= step; break;
+                case 'ArrowRight': this.velocityY += step; break;
+                case 'ArrowUp': this.velocityX -= step; break;
+                case 'ArrowDown': this.velocityX += step; break;
+                case '+':
+                case '=':
+                    if (!this.options.zoom) return;
+                    this.setZoom(this.zoom * 1.1);
+                    break;
+                case '-':
+                    if (!this.options.zoom) return;
+                    this.setZoom(this.zoom / 1.1);
+                    break;
+                case '0': this.reset(); break;
+                default: return;
+            }
+            e.preventDefault(); // Arrows would scroll the page
+        });
+    }
+
+    // 'Interactive 3D model: drag to rotate, arrow keys to rotate, + and - to zoom, 0 to reset'
+    describeControls() {
+        const controls = [];
+        if (this.options.drag) controls.push('drag to rotate');
+        controls.push('arrow keys to rotate');
+        if (this.options.zoom) controls.push('+ and - to zoom');
+        controls.push('0 to reset');
+        return `Interactive 3D model: ${controls.join(', ')}`;
+    }
+
+    // ===== DEVICE ORIENTATION =====
+    // iOS only delivers orientation after a permission prompt that must come
+    // from a tap, so it gets a button; other browsers just start listening.
+    initOrientation() {
+        if (typeof DeviceOrientationEvent === 'undefined') return;
+
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+            this.listenOrientation();
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tilt-permission';
+        button.textContent = 'tap to tilt';
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            DeviceOrientationEvent.requestPermission()
+                .then((state) => {
+                    if (state === 'granted') this.listenOrientation();
+                })
+                .catch(error => console.warn('Device orientation unavailable:', error))
+                .then(() => button.remove());
+        });
+        this.element.appendChild(button);
+        this.permissionButton = button;
+    }
+
+    listenOrientation() {
+        this.listen(window, 'deviceorientation', (e) => {
+            if (e.beta === null || e.gamma === null) return;
+            if (!this.orientationBase) {
+                this.orientationBase = { beta: e.beta, gamma: e.gamma };
+            }
+
+            // 30 degrees from resting = full tilt
+            const clamp = value => Math.max(-1, Math.min(1, value / 30));
+            this.tiltY = clamp(e.gamma - this.orientationBase.gamma) * this.options.maxTilt;
+            this.tiltX = clamp(e.beta - this.orientationBase.beta) * this.options.maxTilt * 0.5;
+        });
+    }
+
+    destroy() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        if (this.permissionButton) this.permissionButton.remove();
+        (this.addedAttributes || []).forEach(name => this.element.removeAttribute(name));
+    }
+}
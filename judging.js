@@ -0,0 +1,713 @@
+/**
+ * Xflow AI Hackathon 2026 - Judging Console
+ *
+ * JudgingConsole: Judges' mode (index.html?judge, or #judge). Each judge
+ * scores every team 0-10 on the event's judging criteria, a timer keeps the
+ * demo inside its slot, and the rankings per track and honors candidates
+ * follow the scores as they come in. Everything stays in localStorage and
+ * exports as CSV or JSON.
+ * readJudgingConfig: Criteria, judges, tracks, honors and demo slot from the event file
+ * rankTeams: Weighted scores, ranks and places per track
+ * renderJudging: Puts the console on the page in place of the event sections
+ */
+
+const JUDGING_SCALE = 10;     // Scores run 0 to this
+const HONOR_CANDIDATES = 3;   // Shortlist size per honor
+
+// ===== CONFIG =====
+// Criteria from the "format" block (weight defaults to 1), judges from
+// "judges", tracks and their places from the "prizes" cards, honors from
+// "honors" (scoredBy names the criterion each is judged on) and the demo
+// slot from the "time" block's minutes
+function readJudgingConfig(event) {
+    const blocks = event.sections.reduce((all, section) => all.concat(section.blocks), []);
+    const find = type => blocks.find(block => block.type === type);
+    const format = find('format');
+    const judges = find('judges');
+    const prizes = find('prizes');
+    const honors = find('honors');
+    const time = find('time');
+    if (!format) throw new Error('This event has no judging criteria (a "format" block)');
+
+    const criteria = format.criteria.items.map(item => ({
+        name: item.name,
+        weight: item.weight !== undefined ? item.weight : 1
+    }));
+    const scoredBy = (honors && honors.scoredBy) || {};
+    const criterionOf = (name) => {
+        const criterion = scoredBy[name];
+        return criteria.some(item => item.name === criterion) ? criterion : null;
+    };
+
+    return {
+        criteria,
+        judges: judges ? judges.names : ['Judge'],
+        tracks: prizes
+            ? prizes.cards.map(card => ({ name: card.title, places: card.amounts }))
+            : [{ name: 'Overall', places: [] }],
+        honors: honors ? honors.items.map(name => ({ name, criterion: criterionOf(name) })) : [],
+        minutes: time && time.minutes ? time.minutes : { min: 5, max: 10 }
+    };
+}
+
+// ===== SCORING =====
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// One judge's weighted score for a team (0-10), null until every criterion has a score
+function judgeScore(sheet, criteria, weights) {
+    if (!sheet) return null;
+    let total = 0;
+    let weightSum = 0;
+    for (const criterion of criteria) {
+        const value = sheet[criterion.name];
+        if (typeof value !== 'number') return null;
+        total += value * weights[criterion.name];
+        weightSum += weights[criterion.name];
+    }
+    return weightSum > 0 ? total / weightSum : 0;
+}
+
+// Highest first, teams without a score last; equal scores share a rank
+function assignRanks(entries, scoreOf) {
+    entries.sort((a, b) => {
+        const sa = scoreOf(a);
+        const sb = scoreOf(b);
+        if (sa === null || sb === null) return (sa === null) - (sb === null);
+        return sb - sa;
+    });
+    entries.forEach((entry, i) => {
+        const score = scoreOf(entry);
+        const previous = entries[i - 1];
+        if (score === null) entry.rank = null;
+        else if (previous && scoreOf(previous) === score) entry.rank = previous.rank;
+        else entry.rank = i + 1;
+    });
+    return entries;
+}
+
+// The event's tracks with their teams, plus an "Other" track (no places) for
+// teams whose track is no longer a prize title
+function groupByTrack(teams, config) {
+    const groups = config.tracks.map(track => ({
+        name: track.name,
+        places: track.places,
+        teams: teams.filter(team => team.track === track.name)
+    }));
+    const other = teams.filter(team => !config.tracks.some(track => track.name === team.track));
+    if (other.length > 0) groups.push({ name: 'Other', places: [], teams: other });
+    return groups;
+}
+
+// state: { weights, teams: [{ id, name, track, demoSeconds }], scores: { teamId: { judge: { criterion: 0-10 } } } }
+// (plus judge, current, nextId and timing: the running demo, see JudgingConsole)
+// -> { tracks: [{ name, places, entries }], honors: [{ name, criterion, candidates }] }
+// An entry: { team, score (mean of the judges who scored every criterion), judged, criteria: { name: mean }, rank, place }
+function rankTeams(state, config) {
+    const entries = state.teams.map((team) => {
+        const sheets = state.scores[team.id] || {};
+        const totals = config.judges
+            .map(judge => judgeScore(sheets[judge], config.criteria, state.weights))
+            .filter(score => score !== null);
+
+        const criteria = {};
+        config.criteria.forEach(({ name }) => {
+            const values = config.judges
+                .map(judge => sheets[judge] && sheets[judge][name])
+                .filter(value => typeof value === 'number');
+            criteria[name] = values.length > 0 ? average(values) : null;
+        });
+
+        return { team, score: totals.length > 0 ? average(totals) : null, judged: totals.length, criteria };
+    });
+
+    const tracks = groupByTrack(state.teams, config).map((track) => {
+        const ranked = assignRanks(entries.filter(entry => track.teams.includes(entry.team)), entry => entry.score);
+        ranked.forEach((entry) => {
+            entry.place = entry.rank !== null && entry.rank <= track.places.length ? track.places[entry.rank - 1] : null;
+        });
+        return { name: track.name, places: track.places, entries: ranked };
+    });
+
+    // Across every track, on the honor's criterion (or the overall score)
+    const honors = config.honors.map((honor) => {
+        const scoreOf = entry => (honor.criterion ? entry.criteria[honor.criterion] : entry.score);
+        const candidates = assignRanks(entries.map(entry => ({ ...entry })), scoreOf)
+            .filter(entry => scoreOf(entry) !== null)
+            .slice(0, HONOR_CANDIDATES)
+            .map(entry => ({ ...entry, honorScore: scoreOf(entry) }));
+        return { name: honor.name, criterion: honor.criterion, candidates };
+    });
+
+    return { tracks, honors };
+}
+
+// 312 -> '05:12'
+function formatDuration(seconds) {
+    const whole = Math.floor(seconds);
+    return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+function formatScore(score) {
+    return score === null ? '–' : score.toFixed(2);
+}
+
+// Quoted when needed; a leading = + - @ can't start a spreadsheet formula
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ===== CONSOLE =====
+class JudgingConsole {
+    static requested(location = window.location) {
+        return new URLSearchParams(location.search).has('judge') || location.hash === '#judge';
+    }
+
+    constructor(event) {
+        this.config = readJudgingConfig(event);
+        this.eventName = event.name;
+        this.storageKey = `xflow-judging:${event.name}`;
+        this.state = this.load();
+        this.timer = { running: false, startedAt: 0, base: 0, interval: null };
+        this.resumeTimer();
+
+        this.build();
+        this.renderTeams();
+        this.renderPanel();
+        this.renderResults();
+    }
+
+    // ===== STORAGE =====
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            saved = null;
+        }
+        saved = saved || {};
+
+        const weights = {};
+        this.config.criteria.forEach(({ name, weight }) => {
+            const stored = saved.weights && saved.weights[name];
+            weights[name] = typeof stored === 'number' ? stored : weight;
+        });
+        const teams = Array.isArray(saved.teams) ? saved.teams : [];
+        const current = teams.some(team => team.id === saved.current) ? saved.current : (teams[0] ? teams[0].id : null);
+        // A demo still running when the page closed, if its team is still the one shown
+        const timing = saved.timing && saved.timing.team === current ? saved.timing : null;
+
+        return {
+            judge: this.config.judges.includes(saved.judge) ? saved.judge : this.config.judges[0],
+            current,
+            nextId: saved.nextId || teams.length + 1,
+            weights,
+            teams,
+            scores: saved.scores || {},
+            timing
+        };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            this.setStatus('Could not save in this browser: export to keep the scores');
+        }
+    }
+
+    currentTeam() {
+        return this.state.teams.find(team => team.id === this.state.current) || null;
+    }
+
+    // ===== MARKUP =====
+    build() {
+        this.element = createElement('section', 'content-section judging-console');
+        this.element.id = 'judging';
+        const container = createElement('div', 'section-container');
+        const text = createElement('div', 'section-text');
+        const heading = createElement('div', 'section-heading');
+        heading.appendChild(createElement('h1', null, 'Judging'));
+        text.appendChild(heading);
+
+        const body = createElement('div', 'section-body-container');
+        body.append(this.buildToolbar(), this.buildLayout(), this.buildResults(), this.buildWeights());
+        text.appendChild(body);
+        container.appendChild(text);
+        this.element.appendChild(container);
+    }
+
+    buildToolbar() {
+        const toolbar = createElement('div', 'judging-toolbar');
+
+        const judgeLabel = createElement('label', 'judging-judge', 'Scoring as ');
+        this.judgeSelect = createElement('select');
+        this.config.judges.forEach(judge => this.judgeSelect.appendChild(createElement('option', null, judge)));
+        this.judgeSelect.value = this.state.judge;
+        this.judgeSelect.addEventListener('change', () => {
+            this.state.judge = this.judgeSelect.value;
+            this.save();
+            this.renderPanel();
+        });
+        judgeLabel.appendChild(this.judgeSelect);
+        toolbar.appendChild(judgeLabel);
+
+        const button = (label, onClick) => {
+            const element = createElement('button', 'application-button', label);
+            element.type = 'button';
+            element.addEventListener('click', onClick);
+            toolbar.appendChild(element);
+            return element;
+        };
+        button('Export CSV', () => this.exportCSV());
+        button('Export JSON', () => this.exportJSON());
+
+        // Applications from the mock server (GET api/applications) or an earlier JSON export
+        this.importInput = createElement('input');
+        this.importInput.type = 'file';
+        this.importInput.accept = '.json,application/json';
+        this.importInput.hidden = true;
+        this.importInput.addEventListener('change', () => this.importTeams(this.importInput.files[0]));
+        toolbar.appendChild(this.importInput);
+        button('Import teams', () => this.importInput.click());
+        button('Reset', () => this.reset());
+
+        this.status = createElement('p', 'judging-status');
+        this.status.setAttribute('role', 'status');
+        toolbar.appendChild(this.status);
+        return toolbar;
+    }
+
+    buildLayout() {
+        const layout = createElement('div', 'judging-layout');
+
+        const teams = createElement('div', 'judging-teams');
+        teams.appendChild(createElement('h3', null, 'Teams'));
+        this.teamList = createElement('div', 'judging-team-list');
+        teams.appendChild(this.teamList);
+
+        const add = createElement('form', 'judging-add');
+        this.newTeamName = createElement('input');
+        this.newTeamName.placeholder = 'Team name';
+        this.newTeamName.setAttribute('aria-label', 'New team name');
+        this.newTeamTrack = createElement('select');
+        this.newTeamTrack.setAttribute('aria-label', 'New team track');
+        this.config.tracks.forEach(track => this.newTeamTrack.appendChild(createElement('option', null, track.name)));
+        const submit = createElement('button', 'application-button', '+ Add team');
+        submit.type = 'submit';
+        add.append(this.newTeamName, this.newTeamTrack, submit);
+        add.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.addTeam(this.newTeamName.value, this.newTeamTrack.value)) this.newTeamName.value = '';
+        });
+        teams.appendChild(add);
+
+        this.panel = createElement('div', 'judging-panel');
+        layout.append(teams, this.panel);
+        return layout;
+    }
+
+    buildResults() {
+        this.results = createElement('div', 'judging-results');
+        return this.results;
+    }
+
+    buildWeights() {
+        const details = createElement('details', 'judging-weights');
+        details.appendChild(createElement('summary', null, 'Criteria weights'));
+        this.config.criteria.forEach(({ name }) => {
+            const row = createElement('label', 'judging-weight', name);
+            const input = createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '0.5';
+            input.value = String(this.state.weights[name]);
+            input.addEventListener('input', () => {
+                const weight = parseFloat(input.value);
+                if (!(weight >= 0)) return;
+                this.state.weights[name] = weight;
+                this.save();
+                this.updateTotal();
+                this.renderResults();
+            });
+            row.appendChild(input);
+            details.appendChild(row);
+        });
+        return details;
+    }
+
+    // ===== TEAMS =====
+    addTeam(name, track) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return false;
+        if (this.state.teams.some(team => team.name.toLowerCase() === trimmed.toLowerCase())) {
+            this.setStatus(`${trimmed} is already on the list`);
+            return false;
+        }
+
+        const team = { id: `t${this.state.nextId++}`, name: trimmed, track, demoSeconds: 0 };
+        this.state.teams.push(team);
+        if (!this.state.current) this.state.current = team.id;
+        this.save();
+        this.renderTeams();
+        this.renderPanel();
+        this.renderResults();
+        return true;
+    }
+
+    selectTeam(id) {
+        this.stopTimer();
+        this.state.current = id;
+        this.save();
+        this.renderTeams();
+        this.renderPanel();
+    }
+
+    removeTeam(team) {
+        if (!window.confirm(`Remove ${team.name} and all of its scores?`)) return;
+        this.stopTimer();
+        this.state.teams = this.state.teams.filter(other => other !== team);
+        delete this.state.scores[team.id];
+        if (this.state.current === team.id) {
+            this.state.current = this.state.teams[0] ? this.state.teams[0].id : null;
+        }
+        this.save();
+        this.renderTeams();
+        this.renderPanel();
+        this.renderResults();
+    }
+
+    // Grouped by track; a tick once the current judge has scored the team
+    renderTeams() {
+        this.teamList.textContent = '';
+        groupByTrack(this.state.teams, this.config).forEach(({ name, teams }) => {
+            if (teams.length === 0) return;
+
+            this.teamList.appendChild(createElement('p', 'judging-track', name));
+            teams.forEach((team) => {
+                const scored = judgeScore(this.sheet(team, false), this.config.criteria, this.state.weights) !== null;
+                const button = createElement('button', 'judging-team', `${scored ? '[x]' : '[ ]'} ${team.name}`);
+                button.type = 'button';
+                if (team.id === this.state.current) button.setAttribute('aria-current', 'true');
+                button.addEventListener('click', () => this.selectTeam(team.id));
+                this.teamList.appendChild(button);
+            });
+        });
+        if (this.state.teams.length === 0) {
+            this.teamList.appendChild(createElement('p', 'judging-empty', 'No teams yet. Add them below or import the applications.'));
+        }
+    }
+
+    // ===== SCORE SHEET =====
+    // The current judge's scores for a team (made on first write)
+    sheet(team, create = true) {
+        const judge = this.state.judge;
+        if (!this.state.scores[team.id]) {
+            if (!create) return null;
+            this.state.scores[team.id] = {};
+        }
+        const sheets = this.state.scores[team.id];
+        if (!sheets[judge] && create) sheets[judge] = {};
+        return sheets[judge] || null;
+    }
+
+    renderPanel() {
+        this.panel.textContent = '';
+        const team = this.currentTeam();
+        if (!team) {
+            this.panel.appendChild(createElement('p', 'judging-empty', 'Pick a team to score.'));
+            return;
+        }
+
+        const title = createElement('div', 'judging-panel-title');
+        title.append(createElement('h3', null, team.name), createElement('span', 'judging-track', team.track));
+        const remove = createElement('button', 'application-button', 'Remove team');
+        remove.type = 'button';
+        remove.addEventListener('click', () => this.removeTeam(team));
+        title.appendChild(remove);
+        this.panel.appendChild(title);
+
+        this.panel.appendChild(this.buildTimer(team));
+
+        const sheet = this.sheet(team, false) || {};
+        const scores = createElement('div', 'judging-scores');
+        this.config.criteria.forEach(({ name }) => {
+            const row = createElement('label', 'judging-score');
+            row.appendChild(createElement('span', null, name));
+            const input = createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = String(JUDGING_SCALE);
+            input.step = '1';
+            input.inputMode = 'numeric';
+            input.value = typeof sheet[name] === 'number' ? String(sheet[name]) : '';
+            input.addEventListener('input', () => this.setScore(team, name, input.value));
+            row.appendChild(input);
+            scores.appendChild(row);
+        });
+        this.panel.appendChild(scores);
+
+        this.total = createElement('p', 'judging-total');
+        this.panel.appendChild(this.total);
+        this.updateTotal();
+    }
+
+    // '' clears the score; anything else is clamped to a whole 0-10
+    setScore(team, criterion, text) {
+        const sheet = this.sheet(team);
+        const value = parseInt(text, 10);
+        if (text === '' || isNaN(value)) delete sheet[criterion];
+        else sheet[criterion] = Math.max(0, Math.min(JUDGING_SCALE, value));
+
+        this.save();
+        this.updateTotal();
+        this.renderTeams();
+        this.renderResults();
+    }
+
+    updateTotal() {
+        const team = this.currentTeam();
+        if (!team || !this.total) return;
+        const score = judgeScore(this.sheet(team, false), this.config.criteria, this.state.weights);
+        const judged = Object.keys(this.state.scores[team.id] || {})
+            .filter(judge => judgeScore(this.state.scores[team.id][judge], this.config.criteria, this.state.weights) !== null);
+        this.total.textContent = `${this.state.judge}: ${score === null ? 'not finished' : `${formatScore(score)} / ${JUDGING_SCALE}`}` +
+            ` · scored by ${judged.length} of ${this.config.judges.length} judges`;
+    }
+
+    // ===== DEMO TIMER =====
+    // Counts up from the team's recorded demo time; early before the slot's
+    // minimum, over past its maximum
+    buildTimer(team) {
+        const { min, max } = this.config.minutes;
+        const timer = createElement('div', 'judging-timer');
+        this.clock = createElement('span', 'judging-clock');
+        this.clock.setAttribute('role', 'timer');
+        const slot = createElement('span', 'judging-slot', `${min}–${max} min`);
+
+        this.timerButton = createElement('button', 'application-button', this.timer.running ? 'Stop demo' : 'Start demo');
+        this.timerButton.type = 'button';
+        this.timerButton.addEventListener('click', () => (this.timer.running ? this.stopTimer() : this.startTimer(team)));
+        const reset = createElement('button', 'application-button', 'Reset');
+        reset.type = 'button';
+        reset.addEventListener('click', () => {
+            this.stopTimer();
+            team.demoSeconds = 0;
+            this.save();
+            this.updateClock(team);
+        });
+
+        timer.append(this.clock, slot, this.timerButton, reset);
+        this.updateClock(team);
+        return timer;
+    }
+
+    elapsed(team) {
+        return this.timer.running ? this.timer.base + (Date.now() - this.timer.startedAt) / 1000 : team.demoSeconds;
+    }
+
+    // The start is saved straight away, so a reload mid-demo keeps counting
+    startTimer(team) {
+        this.state.timing = { team: team.id, startedAt: Date.now(), base: team.demoSeconds };
+        this.save();
+        this.runTimer(team, this.state.timing);
+        this.timerButton.textContent = 'Stop demo';
+        this.updateClock(team);
+    }
+
+    // Picks up the demo that was running when the page was last closed
+    resumeTimer() {
+        const team = this.state.timing && this.currentTeam();
+        if (team) this.runTimer(team, this.state.timing);
+    }
+
+    runTimer(team, { startedAt, base }) {
+        this.timer.running = true;
+        this.timer.team = team;
+        this.timer.base = base;
+        this.timer.startedAt = startedAt;
+        this.timer.interval = setInterval(() => this.updateClock(team), 250);
+    }
+
+    stopTimer() {
+        if (!this.timer.running) return;
+        const { team } = this.timer;
+        team.demoSeconds = this.elapsed(team);
+        this.timer.running = false;
+        clearInterval(this.timer.interval);
+        this.state.timing = null;
+        this.save();
+        this.timerButton.textContent = 'Start demo';
+        this.updateClock(team);
+        this.renderResults();
+    }
+
+    updateClock(team) {
+        const { min, max } = this.config.minutes;
+        const seconds = this.elapsed(team);
+        this.clock.textContent = formatDuration(seconds);
+        const state = seconds > max * 60 ? 'over' : seconds >= min * 60 ? 'on-time' : 'early';
+        this.clock.dataset.state = seconds === 0 ? '' : state;
+    }
+
+    // ===== RESULTS =====
+    renderResults() {
+        const { tracks, honors } = rankTeams(this.state, this.config);
+        this.results.textContent = '';
+
+        tracks.forEach((track) => {
+            const block = createElement('div', 'judging-ranking');
+            block.appendChild(createElement('h3', null, track.name));
+            if (track.entries.length === 0) {
+                block.appendChild(createElement('p', 'judging-empty', 'No teams in this track yet.'));
+                this.results.appendChild(block);
+                return;
+            }
+
+            const table = createElement('table', 'criteria-table judging-table');
+            const head = document.createElement('tr');
+            ['#', 'Team', 'Score', 'Judges', 'Demo', 'Place'].forEach(label => head.appendChild(createElement('th', null, label)));
+            table.appendChild(head);
+            track.entries.forEach((entry) => {
+                const row = document.createElement('tr');
+                if (entry.place) row.className = 'is-placed';
+                [
+                    entry.rank === null ? '–' : entry.rank,
+                    entry.team.name,
+                    formatScore(entry.score),
+                    `${entry.judged}/${this.config.judges.length}`,
+                    formatDuration(entry.team.demoSeconds),
+                    entry.place || ''
+                ].forEach(value => row.appendChild(createElement('td', null, String(value))));
+                table.appendChild(row);
+            });
+            block.appendChild(table);
+            this.results.appendChild(block);
+        });
+
+        if (honors.length > 0) {
+            const block = createElement('div', 'judging-honors');
+            block.appendChild(createElement('h3', null, 'Honors candidates'));
+            honors.forEach((honor) => {
+                const line = createElement('p');
+                line.appendChild(createElement('strong', null, `${honor.name}`));
+                const basis = honor.criterion ? ` (on ${honor.criterion})` : '';
+                const names = honor.candidates.map(entry => `${entry.team.name} ${formatScore(entry.honorScore)}`);
+                line.appendChild(document.createTextNode(`${basis}: ${names.length > 0 ? names.join(' · ') : 'no scores yet'}`));
+                block.appendChild(line);
+            });
+            this.results.appendChild(block);
+        }
+    }
+
+    // ===== IMPORT / EXPORT =====
+    // An array of applications ({ teamName, track }) or teams ({ name, track }),
+    // or a JSON export ({ teams })
+    importTeams(file) {
+        if (!file) return;
+        file.text()
+            .then((text) => {
+                const data = JSON.parse(text);
+                const list = Array.isArray(data) ? data : (data && data.teams) || [];
+                const known = this.config.tracks.map(track => track.name);
+                let added = 0;
+                let skipped = 0;
+                list.forEach((item) => {
+                    const name = item && (item.teamName || item.name);
+                    const track = item && item.track;
+                    if (known.includes(track) && this.addTeam(name, track)) added++;
+                    else skipped++;
+                });
+                this.setStatus(`Imported ${added} teams${skipped > 0 ? `, skipped ${skipped} (duplicate, unnamed or unknown track)` : ''}`);
+            })
+            .catch(error => this.setStatus(`Could not import: ${error.message}`))
+            .then(() => {
+                this.importInput.value = ''; // The same file can be picked again
+            });
+    }
+
+    exportJSON() {
+        const data = {
+            event: this.eventName,
+            exportedAt: new Date().toISOString(),
+            criteria: this.config.criteria.map(({ name }) => ({ name, weight: this.state.weights[name] })),
+            judges: this.config.judges,
+            teams: this.state.teams,
+            scores: this.state.scores,
+            rankings: rankTeams(this.state, this.config)
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        ASCIIExport.download(blob, `${this.fileName()}.json`);
+    }
+
+    // One row per team: rank and place in its track, overall and per-criterion means
+    exportCSV() {
+        const criteria = this.config.criteria.map(({ name }) => name);
+        const rows = [['Track', 'Rank', 'Place', 'Team', 'Score', 'Judges', 'Demo', ...criteria]];
+        rankTeams(this.state, this.config).tracks.forEach((track) => {
+            track.entries.forEach((entry) => {
+                rows.push([
+                    track.name,
+                    entry.rank,
+                    entry.place,
+                    entry.team.name,
+                    entry.score === null ? '' : entry.score.toFixed(2),
+                    entry.judged,
+                    formatDuration(entry.team.demoSeconds),
+                    ...criteria.map(name => (entry.criteria[name] === null ? '' : entry.criteria[name].toFixed(2)))
+                ]);
+            });
+        });
+        const csv = rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+        ASCIIExport.download(new Blob([csv], { type: 'text/csv' }), `${this.fileName()}.csv`);
+    }
+
+    fileName() {
+        return `${this.eventName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-judging`;
+    }
+
+    reset() {
+        if (!window.confirm('Clear every team, score and demo time on this device?')) return;
+        this.stopTimer();
+        const { judge, weights } = this.state;
+        this.state = { judge, current: null, nextId: 1, weights, teams: [], scores: {} };
+        this.save();
+        this.renderTeams();
+        this.renderPanel();
+        this.renderResults();
+        this.setStatus('Cleared');
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
+
+// The console instead of the event sections. The hero is hidden and its
+// engine (mounted on load, see mount.js) destroyed, so no model loads behind it.
+function renderJudging(event) {
+    document.title = `Judging · ${event.meta.title}`;
+    const hero = document.getElementById('home');
+    hero.hidden = true;
+    unmountEngines(hero);
+
+    // Links back to the event page, keeping any ?event=
+    const params = new URLSearchParams(window.location.search);
+    params.delete('judge');
+    const query = params.toString();
+    const nav = document.getElementById('navLinks');
+    nav.textContent = '';
+    const judging = createElement('a', 'nav-link active', 'Judging');
+    judging.href = '#judging';
+    const back = createElement('a', 'nav-link', 'Event page');
+    back.href = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    nav.append(judging, back);
+
+    const main = document.getElementById('event-sections');
+    main.textContent = '';
+    main.appendChild(new JudgingConsole(event).element);
+    return event;
+}
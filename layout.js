@@ -0,0 +1,79 @@
+/**
+ * Xflow AI Hackathon 2026 - Layout
+ *
+ * observeResize: Debounced ResizeObserver on a container, plus devicePixelRatio changes
+ * measureASCIICell: Character cell size of an element's monospace CSS font
+ */
+
+// ===== RESIZE =====
+// onResize({ width, height, pixelRatio, pixelRatioChanged }) runs once the
+// element has stopped changing for `delay` ms. A pixel ratio change (browser
+// zoom, dragging to another monitor) fires a media query, not a resize, so
+// it is watched separately. Returns a function that stops observing.
+function observeResize(element, onResize, delay = 100) {
+    let timer = null;
+    let pixelRatio = window.devicePixelRatio || 1;
+    let media = null;
+
+    const fire = () => {
+        const current = window.devicePixelRatio || 1;
+        const pixelRatioChanged = current !== pixelRatio;
+        pixelRatio = current;
+        onResize({ width: element.clientWidth, height: element.clientHeight, pixelRatio, pixelRatioChanged });
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(fire, delay);
+    };
+
+    // The query only matches the ratio it was made for, so re-arm on each change
+    const onRatioChange = () => {
+        watchRatio();
+        schedule();
+    };
+    const watchRatio = () => {
+        if (media) media.removeEventListener('change', onRatioChange);
+        media = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        media.addEventListener('change', onRatioChange);
+    };
+    watchRatio();
+
+    let observer = null;
+    if (typeof ResizeObserver !== 'undefined') {
+        observer = new ResizeObserver(schedule);
+        observer.observe(element);
+    } else {
+        window.addEventListener('resize', schedule);
+    }
+
+    return () => {
+        clearTimeout(timer);
+        media.removeEventListener('change', onRatioChange);
+        if (observer) {
+            observer.disconnect();
+        } else {
+            window.removeEventListener('resize', schedule);
+        }
+    };
+}
+
+// ===== CELL METRICS =====
+// Cell width is the font's advance, height its line-height. Read from the
+// stylesheet so the CSS breakpoints (e.g. the 768px font sizes) stay the one
+// place cell sizes are defined.
+const cellCanvas = document.createElement('canvas');
+
+function measureASCIICell(element) {
+    const style = getComputedStyle(element);
+    const fontSize = parseFloat(style.fontSize);
+    const lineHeight = parseFloat(style.lineHeight);
+
+    const ctx = cellCanvas.getContext('2d');
+    ctx.font = `${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+
+    return {
+        width: ctx.measureText('M').width || fontSize * 0.6,
+        height: isNaN(lineHeight) ? fontSize * 1.2 : lineHeight // 'normal'
+    };
+}
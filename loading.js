@@ -0,0 +1,145 @@
+/**
+ * Xflow AI Hackathon 2026 - Loading
+ *
+ * ASCIILoadingIndicator: Animated ASCII progress shown in a container while its model loads
+ * loadModelWithRetry: loadModelFile with retries and backoff, as a Promise
+ * supportsWebGL: Whether this browser can start the shared renderer
+ * showASCIIPoster: Fills an element with a pre-generated ASCII poster (posters/*.txt)
+ */
+
+// 'obj files/Trophy.xfm' -> 'Trophy'
+function modelName(modelPath) {
+    return modelPath.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+// ===== PROGRESS INDICATOR =====
+// A small <pre> overlay in the site's ramp characters:
+//     loading Trophy
+//   [$$$$$$$$.......]  53%
+// Without a known size the bar becomes a block bouncing along the track.
+class ASCIILoadingIndicator {
+    constructor(container, label) {
+        this.label = label;
+        this.status = 'loading';
+        this.progress = null; // 0-1, null while unknown
+        this.tick = 0;
+
+        this.element = document.createElement('pre');
+        this.element.className = 'ascii-loader';
+        this.element.setAttribute('aria-hidden', 'true');
+        container.appendChild(this.element);
+
+        this.draw();
+        this.timer = setInterval(() => {
+            if (!MotionPreference.get().still) this.tick++; // Progress still shows with motion off
+            this.draw();
+        }, 120);
+    }
+
+    // event: a ProgressEvent from the model request
+    setProgress(event) {
+        this.progress = event.lengthComputable && event.total > 0 ? event.loaded / event.total : null;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.draw();
+    }
+
+    // Final state: stops animating and leaves the message up
+    fail(status) {
+        clearInterval(this.timer);
+        this.status = status;
+        this.element.textContent = `x ${status} ${this.label}`;
+    }
+
+    draw() {
+        const spinner = '|/-\\'[this.tick % 4];
+        const width = 16;
+        let bar;
+        let percent = '';
+
+        if (this.progress === null) {
+            const span = width - 3;
+            const step = this.tick % (span * 2);
+            const start = step < span ? step : span * 2 - step;
+            bar = '.'.repeat(start) + '$$$' + '.'.repeat(width - start - 3);
+        } else {
+            const filled = Math.round(this.progress * width);
+            bar = '$'.repeat(filled) + '.'.repeat(width - filled);
+            percent = ` ${Math.round(this.progress * 100).toString().padStart(3)}%`;
+        }
+
+        this.element.textContent = `${spinner} ${this.status} ${this.label}\n[${bar}]${percent}`;
+    }
+
+    remove() {
+        clearInterval(this.timer);
+        this.element.remove();
+    }
+}
+
+// ===== LOADING =====
+// Resolves with the loaded object. A failed attempt is retried after
+// retryDelay, doubling each time; onRetry(attempt, error) fires before each.
+function loadModelWithRetry(path, { retries = 2, retryDelay = 1000, onProgress, onRetry } = {}) {
+    return new Promise((resolve, reject) => {
+        const attempt = (count) => {
+            loadModelFile(path, resolve, onProgress, (error) => {
+                if (count >= retries) {
+                    reject(error);
+                    return;
+                }
+                if (onRetry) onRetry(count + 1, error);
+                setTimeout(() => attempt(count + 1), retryDelay * Math.pow(2, count));
+            });
+        };
+        attempt(0);
+    });
+}
+
+// Checked once, and the test context is released straight away: live
+// contexts count against the browser's limit (see SharedRenderer)
+let webGLSupport = null;
+
+function supportsWebGL() {
+    if (webGLSupport === null) {
+        try {
+            const canvas = document.createElement('canvas');
+            const gl = typeof THREE !== 'undefined' && window.WebGLRenderingContext &&
+                (canvas.getContext('webgl2') || canvas.getContext('webgl'));
+            webGLSupport = !!gl;
+            if (gl) {
+                const loseContext = gl.getExtension('WEBGL_lose_context');
+                if (loseContext) loseContext.loseContext();
+            }
+        } catch (error) {
+            webGLSupport = false;
+        }
+    }
+    return webGLSupport;
+}
+
+// ===== POSTERS =====
+// posters/<model name>.txt, rendered from the same model and ramp by
+// tools/ascii-render.js --posters
+function posterPath(modelPath) {
+    return `posters/${modelName(modelPath)}.txt`;
+}
+
+// Resolves once the poster is in the element, rejects if it can't be fetched
+function showASCIIPoster(element, url) {
+    return fetch(url).then((response) => {
+        if (!response.ok) {
+            throw new Error(`Poster ${url}: HTTP ${response.status}`);
+        }
+        return response.text();
+    }).then((text) => {
+        element.textContent = text;
+    });
+}
+
+// tools/ascii-render.js writes posters where showASCIIPoster looks
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { modelName, posterPath };
+}
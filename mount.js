@@ -0,0 +1,122 @@
+/**
+ * Xflow AI Hackathon 2026 - Auto-mount
+ *
+ * mountEngines: Starts an engine on every element with a data-xflow-model
+ * attribute, taking its options from the element's other data-xflow-* attributes
+ * writeMountOptions: Sets those attributes on an element from engine options
+ * unmountEngines: Destroys the engines mounted inside an element
+ * getMountedEngine: The engine running on an element (the registry)
+ *
+ *   <div class="canvas-container" data-xflow-model="obj files/calendar.xfm"
+ *        data-xflow-timeline="scroll" data-xflow-ramp=".:-=+*#%@"></div>
+ *
+ * data-xflow-engine="hero" mounts an ASCIIOnlyEngine on the element (the
+ * ASCII layer itself); anything else a ThreeJSEngine on a container, whose
+ * pixel/ASCII layers are created if they are missing. Pages with mount.js
+ * mount themselves once the DOM is ready.
+ */
+
+// Attributes that don't name an engine option directly
+const MOUNT_ATTRIBUTES = {
+    model: null,   // The model path, not an option
+    engine: null,  // Which engine class
+    ramp: 'chars'  // Character set
+};
+
+const mountedEngines = new Map(); // element -> engine
+
+// 'true' / 'false' / numbers / JSON objects and arrays; anything else stays a string
+function parseMountValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    if (/^\s*[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn(`Ignoring invalid JSON in data-xflow attribute: ${value}`);
+            return undefined;
+        }
+    }
+    return value;
+}
+
+// data-xflow-retry-delay="500" -> { retryDelay: 500 } (dataset camel-cases for us)
+function readMountOptions(element) {
+    const options = {};
+    Object.keys(element.dataset).forEach((key) => {
+        if (!key.startsWith('xflow') || key === 'xflow') return;
+        const name = key.charAt(5).toLowerCase() + key.slice(6);
+        const option = name in MOUNT_ATTRIBUTES ? MOUNT_ATTRIBUTES[name] : name;
+        if (!option) return;
+
+        const raw = element.dataset[key];
+        // A ramp like "0123" or a label like "2026" is still text
+        const value = option === 'chars' || option === 'label' ? raw : parseMountValue(raw);
+        if (value === undefined) return;
+
+        // A preset name, or material parameters over the engine's preset
+        if (option === 'material') {
+            options[typeof value === 'string' ? 'preset' : 'material'] = value;
+        } else {
+            options[option] = value;
+        }
+    });
+    return options;
+}
+
+// The reverse, for markup built from data (see event.js): { timeline: 'scroll' }
+// -> data-xflow-timeline="scroll"
+function writeMountOptions(element, path, options = {}) {
+    element.dataset.xflowModel = path;
+    Object.keys(options).forEach((option) => {
+        const value = options[option];
+        const name = option === 'chars' ? 'ramp' : option;
+        element.dataset[`xflow${name.charAt(0).toUpperCase()}${name.slice(1)}`] =
+            typeof value === 'string' ? value : JSON.stringify(value);
+    });
+}
+
+// ===== REGISTRY =====
+// root: a document or element to scan (including the element itself).
+// Already mounted elements are skipped. Returns the newly mounted engines.
+function mountEngines(root = document) {
+    const elements = Array.from(root.querySelectorAll('[data-xflow-model]'));
+    if (root.matches && root.matches('[data-xflow-model]')) elements.unshift(root);
+
+    return elements
+        .filter(element => !mountedEngines.has(element))
+        .map((element) => {
+            const path = element.dataset.xflowModel;
+            const options = readMountOptions(element);
+
+            let engine;
+            if (element.dataset.xflowEngine === 'hero') {
+                engine = new ASCIIOnlyEngine(element, path, options);
+            } else {
+                element.classList.add('canvas-container'); // Layer positioning and masks
+                engine = new ThreeJSEngine(element, path, options);
+            }
+            mountedEngines.set(element, engine);
+            return engine;
+        });
+}
+
+function getMountedEngine(element) {
+    return mountedEngines.get(element) || null;
+}
+
+// Destroys every mounted engine inside root (or on it)
+function unmountEngines(root = document) {
+    mountedEngines.forEach((engine, element) => {
+        if (root !== element && !root.contains(element)) return;
+        engine.destroy();
+        mountedEngines.delete(element);
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => mountEngines());
+} else {
+    mountEngines();
+}
@@ -0,0 +1,205 @@
+/**
+ * Xflow AI Hackathon 2026 - Performance
+ *
+ * PerformanceGovernor: Single render loop for every engine. Engines that are
+ * offscreen or in a hidden tab are skipped (no loop at all when none are
+ * active) and quality is stepped down/up to hold a target frame rate.
+ * With motion off (reduced motion or paused, see accessibility.js) engines
+ * draw one still frame, and again only when requestFrame() says it changed.
+ * scaleASCIIFont: Resizes an ASCII element's text to match a grid scale
+ */
+
+// Best first. interval: frames added to each engine's ASCII update interval;
+// density: ASCII cells per CSS pixel (0.7 = cells 1/0.7 larger);
+// pixelRatio: cap on devicePixelRatio; shadows: shadow map size scale (0 = off)
+const QUALITY_LEVELS = [
+    { interval: 0, density: 1, pixelRatio: 2, shadows: 1 },
+    { interval: 0, density: 1, pixelRatio: 1.5, shadows: 1 },
+    { interval: 1, density: 1, pixelRatio: 1, shadows: 0.5 },
+    { interval: 1, density: 0.85, pixelRatio: 1, shadows: 0.5 },
+    { interval: 2, density: 0.7, pixelRatio: 0.75, shadows: 0 }
+];
+
+// ===== GOVERNOR =====
+// Engines register with an element to watch and implement update() (one
+// frame), renderStill() (a frame at rest; true once drawn or nothing to
+// draw yet), applyQuality(quality) and optionally onVisibilityChange(visible).
+// Tune with PerformanceGovernor.get():
+// targetFPS (default 60), adaptive (false pins the current level).
+class PerformanceGovernor {
+    static get() {
+        if (!PerformanceGovernor.instance) {
+            PerformanceGovernor.instance = new PerformanceGovernor();
+        }
+        return PerformanceGovernor.instance;
+    }
+
+    constructor() {
+        this.targetFPS = 60;
+        this.adaptive = true;
+        this.level = 0;
+        this.engines = new Map(); // engine -> { element, visible, stale }
+        this.running = false;
+        this.resetSamples();
+
+        // Every engine redraws at rest when motion stops, or picks up again when it starts
+        this.motion = MotionPreference.get();
+        this.motion.addEventListener('change', () => {
+            this.engines.forEach((state) => {
+                state.stale = true;
+            });
+            this.wake();
+        });
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                this.engines.forEach((state, engine) => {
+                    if (state.element !== entry.target || state.visible === entry.isIntersecting) return;
+                    state.visible = entry.isIntersecting;
+                    if (engine.onVisibilityChange) engine.onVisibilityChange(state.visible);
+                });
+            });
+            this.wake();
+        }, { threshold: 0.1 }); // 10% visible
+
+        document.addEventListener('visibilitychange', () => this.wake());
+    }
+
+    register(engine, element) {
+        this.engines.set(engine, { element, visible: false, stale: true });
+        this.observer.observe(element);
+
+        const quality = this.quality();
+        this.applyPixelRatio(quality);
+        engine.applyQuality(quality);
+    }
+
+    unregister(engine) {
+        const state = this.engines.get(engine);
+        if (!state) return;
+
+        this.engines.delete(engine);
+        const shared = Array.from(this.engines.values()).some(other => other.element === state.element);
+        if (!shared) this.observer.unobserve(state.element);
+    }
+
+    isActive(engine) {
+        const state = this.engines.get(engine);
+        return !!state && state.visible && !document.hidden;
+    }
+
+    // Visible, and animating or due a still frame
+    needsFrame(state) {
+        return state.visible && (!this.motion.still || state.stale);
+    }
+
+    // The engine's still frame is out of date (model loaded, resized, new quality)
+    requestFrame(engine) {
+        const state = this.engines.get(engine);
+        if (!state) return;
+        state.stale = true;
+        this.wake();
+    }
+
+    quality() {
+        const level = QUALITY_LEVELS[this.level];
+        return { ...level, pixelRatio: Math.min(window.devicePixelRatio || 1, level.pixelRatio) };
+    }
+
+    // Start the loop if something became active (it stops itself otherwise)
+    wake() {
+        if (this.running || document.hidden) return;
+        if (!Array.from(this.engines.values()).some(state => this.needsFrame(state))) return;
+
+        this.running = true;
+        this.lastTime = 0; // The gap while suspended isn't a slow frame
+        requestAnimationFrame(time => this.loop(time));
+    }
+
+    loop(time) {
+        const active = Array.from(this.engines.keys())
+            .filter(engine => this.isActive(engine) && this.needsFrame(this.engines.get(engine)));
+        if (active.length === 0) {
+            this.running = false;
+            return;
+        }
+        requestAnimationFrame(next => this.loop(next));
+
+        if (this.motion.still) {
+            active.forEach((engine) => {
+                if (engine.renderStill()) this.engines.get(engine).stale = false;
+            });
+            this.lastTime = 0; // Still frames say nothing about the frame rate
+            return;
+        }
+
+        const start = performance.now();
+        active.forEach(engine => engine.update());
+        const work = performance.now() - start;
+
+        if (this.lastTime) this.sample(time - this.lastTime, work);
+        this.lastTime = time;
+    }
+
+    resetSamples() {
+        const budget = 1000 / this.targetFPS;
+        this.frameTime = budget;
+        this.workTime = 0;
+        this.settled = 0; // Frames since the last level change
+    }
+
+    // Step down after a second of frames well over budget. Step back up only
+    // after three seconds on budget with the engines' own work well under it,
+    // so a display that caps rAF below the target doesn't bounce between levels.
+    sample(frameTime, workTime) {
+        this.frameTime += (frameTime - this.frameTime) * 0.05;
+        this.workTime += (workTime - this.workTime) * 0.05;
+        this.settled++;
+
+        if (!this.adaptive) return;
+
+        const budget = 1000 / this.targetFPS;
+        if (this.settled >= 60 && this.frameTime > budget * 1.25 && this.level < QUALITY_LEVELS.length - 1) {
+            this.setLevel(this.level + 1);
+        } else if (this.settled >= 180 && this.frameTime < budget * 1.1 &&
+            this.workTime < budget * 0.4 && this.level > 0) {
+            this.setLevel(this.level - 1);
+        }
+    }
+
+    setLevel(level) {
+        this.level = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, level));
+        this.resetSamples();
+        this.apply();
+    }
+
+    // devicePixelRatio changed (zoom, another monitor): only matters when the
+    // capped ratio moves. Engines call this, so repeats are no-ops.
+    refresh() {
+        if (this.quality().pixelRatio !== this.pixelRatio) this.apply();
+    }
+
+    apply() {
+        const quality = this.quality();
+        this.applyPixelRatio(quality);
+        this.engines.forEach((state, engine) => engine.applyQuality(quality));
+    }
+
+    applyPixelRatio(quality) {
+        this.pixelRatio = quality.pixelRatio;
+        if (SharedRenderer.instance) {
+            SharedRenderer.instance.setPixelRatio(quality.pixelRatio);
+        }
+    }
+}
+
+// The CSS font sets the cell size; scale 1 goes back to the stylesheet's
+function scaleASCIIFont(element, scale) {
+    element.style.fontSize = '';
+    element.style.lineHeight = '';
+    if (scale === 1) return;
+
+    const style = getComputedStyle(element);
+    element.style.fontSize = `${parseFloat(style.fontSize) * scale}px`;
+    element.style.lineHeight = `${parseFloat(style.lineHeight) * scale}px`;
+}
@@ -0,0 +1,190 @@
+/**
+ * Xflow AI Hackathon 2026 - Material & Lighting Presets
+ *
+ * MODEL_PRESETS: Named material + light rigs engines can pick per instance
+ * resolvePreset: Merges a preset name/object with per-instance overrides
+ * createPresetMaterial / addPresetLights: Build the Three.js objects
+ * setShadowQuality: Scales (or turns off) the preset lights' shadow maps
+ * applyModelMaterials: Puts the preset material on a model, recolored from its MTL
+ */
+
+// ===== PRESETS =====
+// material: 'phong' | 'standard' | 'lambert' plus that material's parameters
+// lights:   type 'ambient' | 'directional' | 'point' | 'hemisphere', with
+//           color, intensity, position [x, y, z] (normalize: true for a
+//           direction), castShadow / shadowMapSize, groundColor (hemisphere)
+// shadows:  meshes cast and receive shadows
+const MODEL_PRESETS = {
+    // Flat, unlit-looking blue for the hero ASCII
+    hero: {
+        material: { type: 'phong', color: 0x2E5CB8, shininess: 0 },
+        lights: [
+            { type: 'ambient', color: 0xffffff, intensity: 0.7 },
+            { type: 'directional', color: 0xffffff, intensity: 0.9, position: [1, 1, 2], normalize: true },
+            { type: 'directional', color: 0xeef4ff, intensity: 0.5, position: [-1, -1, 1], normalize: true }
+        ],
+        shadows: false
+    },
+
+    // Glossy metal with a shadowed key, rim and side fills (section models)
+    section: {
+        material: { type: 'standard', color: 0x7991FB, metalness: 0.70, roughness: 0.25 },
+        lights: [
+            { type: 'ambient', color: 0xffffff, intensity: 0.6 },
+            { type: 'directional', color: 0xffffff, intensity: 1.0, position: [5, 5, 10], castShadow: true, shadowMapSize: 1024 },
+            { type: 'directional', color: 0xeef4ff, intensity: 0.5, position: [-1, -1, 1], normalize: true },
+            { type: 'directional', color: 0xffffff, intensity: 0.8, position: [0, 2, -2], normalize: true }, // Rim
+            { type: 'directional', color: 0xeef4ff, intensity: 0.4, position: [-2, 0, 0], normalize: true } // Side
+        ],
+        shadows: true
+    },
+
+    // Diffuse only with a low ambient: widest light/dark spread for the ramp
+    matte: {
+        material: { type: 'lambert', color: 0xBFC8F5 },
+        lights: [
+            { type: 'hemisphere', color: 0xffffff, groundColor: 0x1F2741, intensity: 0.35 },
+            { type: 'directional', color: 0xffffff, intensity: 1.1, position: [2, 3, 4], normalize: true }
+        ],
+        shadows: false
+    }
+};
+
+// preset: a MODEL_PRESETS name or a { material, lights, shadows } object
+// (missing keys come from the fallback). options.material is merged over the
+// preset material, options.lights replaces its rig.
+function resolvePreset(preset, options, fallback) {
+    const base = MODEL_PRESETS[fallback];
+    let chosen = preset;
+
+    if (typeof preset === 'string') {
+        chosen = MODEL_PRESETS[preset];
+        if (!chosen) {
+            console.warn(`Unknown preset "${preset}", using "${fallback}"`);
+        }
+    }
+    chosen = { ...base, ...(chosen || {}) };
+
+    return {
+        material: { ...chosen.material, ...(options.material || {}) },
+        lights: options.lights || chosen.lights,
+        shadows: chosen.shadows
+    };
+}
+
+function createPresetMaterial(spec) {
+    const { type = 'standard', ...parameters } = spec;
+    const materials = {
+        phong: THREE.MeshPhongMaterial,
+        standard: THREE.MeshStandardMaterial,
+        lambert: THREE.MeshLambertMaterial
+    };
+    const MaterialClass = materials[type] || THREE.MeshStandardMaterial;
+    return new MaterialClass({ flatShading: false, side: THREE.DoubleSide, ...parameters });
+}
+
+function addPresetLights(scene, lights) {
+    return lights.map((spec) => {
+        let light;
+        switch (spec.type) {
+            case 'ambient':
+                light = new THREE.AmbientLight(spec.color, spec.intensity);
+                break;
+            case 'hemisphere':
+                light = new THREE.HemisphereLight(spec.color, spec.groundColor, spec.intensity);
+                break;
+            case 'point':
+                light = new THREE.PointLight(spec.color, spec.intensity, spec.distance || 0);
+                break;
+            default:
+                light = new THREE.DirectionalLight(spec.color, spec.intensity);
+        }
+
+        if (spec.position) {
+            light.position.set(spec.position[0], spec.position[1], spec.position[2]);
+            if (spec.normalize) light.position.normalize();
+        }
+        if (spec.castShadow) {
+            light.castShadow = true;
+            light.shadow.mapSize.width = spec.shadowMapSize || 1024;
+            light.shadow.mapSize.height = spec.shadowMapSize || 1024;
+            light.userData.shadowMapSize = light.shadow.mapSize.width; // Full quality size
+        }
+
+        scene.add(light);
+        return light;
+    });
+}
+
+// scale: 1 = the preset's shadow map size, 0 = no shadows. Toggling
+// castShadow changes the light state, so materials recompile on their own.
+function setShadowQuality(lights, scale) {
+    lights.forEach((light) => {
+        const fullSize = light.userData.shadowMapSize;
+        if (!fullSize) return;
+
+        light.castShadow = scale > 0;
+        const size = Math.max(128, Math.round(fullSize * scale));
+        if (scale > 0 && size !== light.shadow.mapSize.width) {
+            light.shadow.mapSize.set(size, size);
+            // The map is reallocated at the new size on the next render
+            if (light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        }
+    });
+}
+
+// ===== MODEL MATERIALS =====
+// Every mesh gets the preset material straight away. If the model's MTL
+// files load, each named part (usemtl) is redrawn with a copy of the preset
+// material in that part's diffuse color, so parts keep distinct tones.
+// Missing libraries just leave the preset material in place.
+function applyModelMaterials(object, material, modelPath, useLibraries = true) {
+    const assign = (library) => {
+        object.traverse((child) => {
+            if (!(child instanceof THREE.Mesh)) return;
+
+            // Remember the OBJ material names before the first swap
+            if (!child.userData.materialNames) {
+                const loaded = Array.isArray(child.material) ? child.material : [child.material];
+                child.userData.materialNames = loaded.map(m => m.name);
+            }
+
+            const parts = child.userData.materialNames.map((name) => {
+                const source = library.get(name);
+                if (!source) return material;
+
+                const part = material.clone();
+                part.name = name;
+                part.color.copy(source.color);
+                if (source.opacity < 1) {
+                    part.transparent = true;
+                    part.opacity = source.opacity;
+                }
+                return part;
+            });
+
+            // Part copies from an earlier pass are replaced, so free them
+            (child.userData.partMaterials || []).forEach(old => old.dispose());
+            child.userData.partMaterials = parts.filter(part => part !== material);
+
+            // Multi-material meshes keep their groups
+            child.material = parts.length > 1 ? parts : parts[0];
+        });
+    };
+
+    assign(new Map());
+
+    if (useLibraries) {
+        loadMaterialLibraries(object, modelPath).then((library) => {
+            if (library.size > 0) assign(library);
+        });
+    }
+}
+
+// tools/ascii-render.js lights and colors models from the same presets
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MODEL_PRESETS, resolvePreset };
+}
@@ -0,0 +1,217 @@
+/**
+ * Xflow AI Hackathon 2026 - Reveal Mask
+ *
+ * RevealMask: The "flashlight" that shows a section's ASCII layer over its
+ * 3D layer. Follows the mouse, a dragging finger or keyboard focus, leaves
+ * a fading trail, and sweeps across once when the section comes into view.
+ * The masks are written to --ascii-mask / --pixel-mask on the container.
+ * With motion off (see accessibility.js) there is no sweep or trail and the
+ * brush jumps; the engine draws no frames then, so pointer moves draw here.
+ */
+
+const REVEAL_DEFAULTS = {
+    radius: 250,        // CSS px of the ASCII brush; the 3D layer's hole is 80% of it
+    shape: 'circle',    // 'circle' or 'ellipse'
+    aspect: 1.6,        // Ellipse width / height
+    softness: 0.5,      // Share of the radius that is fully revealed before the fade
+    trail: 600,         // ms a trail stamp takes to fade (0: no trail)
+    maxStamps: 12,      // Most trail stamps kept at once
+    touch: true,        // Reveal under a dragging finger
+    focus: true,        // Reveal at whatever has keyboard focus in the section
+    sweep: true,        // Brush across the model on entering view: true (every time), 'once', false
+    sweepDuration: 1600,
+    easing: 0.2         // Share of the way the brush moves towards its target per frame
+};
+
+// Nothing revealed: ASCII fully masked, 3D layer fully shown
+const HIDDEN_ASCII_MASK = 'linear-gradient(transparent, transparent)';
+
+// ===== REVEAL MASK =====
+class RevealMask {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.section = container.closest('section') || container;
+        this.options = { ...REVEAL_DEFAULTS, ...options };
+
+        this.x = 0; // Brush position (CSS px in the container)
+        this.y = 0;
+        this.target = null; // { x, y } the brush eases towards, null when nothing points
+        this.source = null; // 'pointer', 'focus' or 'sweep'
+        this.stamps = [];   // { x, y, time } newest last
+        this.sweepStart = null;
+        this.swept = false;
+        this.lastMasks = '';
+
+        this.listeners = [];
+        this.initPointer();
+        if (this.options.focus) this.initFocus();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    point(source, x, y) {
+        // Jump rather than glide in from wherever the brush was last
+        if (!this.target) {
+            this.x = x;
+            this.y = y;
+        }
+        this.target = { x, y };
+        this.source = source;
+        if (MotionPreference.get().still) this.update(performance.now());
+    }
+
+    release(source) {
+        if (this.source !== source) return;
+        this.target = null;
+        this.source = null;
+        if (MotionPreference.get().still) this.draw(performance.now());
+    }
+
+    // ===== POINTER =====
+    initPointer() {
+        const fromEvent = (e) => {
+            const rect = this.container.getBoundingClientRect();
+            this.point('pointer', e.clientX - rect.left, e.clientY - rect.top);
+        };
+
+        this.listen(this.container, 'pointermove', (e) => {
+            if (e.pointerType === 'mouse' || (this.options.touch && e.buttons > 0)) fromEvent(e);
+        });
+        this.listen(this.container, 'pointerdown', (e) => {
+            if (e.pointerType !== 'mouse' && this.options.touch) fromEvent(e);
+        });
+
+        // A lifted finger leaves its trail to fade; a mouse only lets go on leaving
+        const lift = (e) => {
+            if (e.pointerType !== 'mouse') this.release('pointer');
+        };
+        this.listen(this.container, 'pointerup', lift);
+        this.listen(this.container, 'pointercancel', lift);
+        this.listen(this.container, 'pointerleave', () => this.release('pointer'));
+    }
+
+    // ===== KEYBOARD FOCUS =====
+    // Focus on the model itself reveals its center; focus elsewhere in the
+    // section reveals the nearest point of the model to the focused element
+    initFocus() {
+        this.listen(this.section, 'focusin', (e) => {
+            if (this.source === 'pointer') return;
+            if (!e.target.matches(':focus-visible')) return; // Clicks focus too
+
+            const box = this.container.getBoundingClientRect();
+            let x = box.width / 2;
+            let y = box.height / 2;
+            if (e.target !== this.container) {
+                const rect = e.target.getBoundingClientRect();
+                x = Math.max(0, Math.min(box.width, rect.left + rect.width / 2 - box.left));
+                y = Math.max(0, Math.min(box.height, rect.top + rect.height / 2 - box.top));
+            }
+            this.point('focus', x, y);
+        });
+
+        this.listen(this.section, 'focusout', (e) => {
+            if (!this.section.contains(e.relatedTarget)) this.release('focus');
+        });
+    }
+
+    // ===== SWEEP =====
+    // Section visibility changed (PerformanceGovernor)
+    setVisible(visible) {
+        const { sweep } = this.options;
+        if (!visible || !sweep || this.target || MotionPreference.get().still) return;
+        if (sweep === 'once' && this.swept) return;
+
+        this.swept = true;
+        this.sweepStart = null; // Timed from the first frame it is drawn
+        this.source = 'sweep';
+    }
+
+    // Left to right through the middle with a gentle wave
+    updateSweep(time) {
+        if (this.sweepStart === null) this.sweepStart = time;
+        const t = (time - this.sweepStart) / this.options.sweepDuration;
+        if (t >= 1) {
+            this.sweepStart = null;
+            this.release('sweep');
+            return;
+        }
+
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        this.point('sweep', width * (0.1 + eased * 0.8), height * (0.5 + Math.sin(t * Math.PI * 2) * 0.15));
+    }
+
+    // ===== FRAME =====
+    update(time) {
+        const still = MotionPreference.get().still;
+        if (this.source === 'sweep') {
+            if (still) this.release('sweep'); // Motion stopped mid-sweep
+            else this.updateSweep(time);
+        }
+
+        if (this.target) {
+            const easing = still ? 1 : this.options.easing;
+            this.x += (this.target.x - this.x) * easing;
+            this.y += (this.target.y - this.y) * easing;
+
+            // A new stamp each time the brush has moved a fifth of its radius
+            const last = this.stamps[this.stamps.length - 1];
+            if (!still && this.options.trail > 0 &&
+                (!last || Math.hypot(this.x - last.x, this.y - last.y) > this.options.radius * 0.2)) {
+                this.stamps.push({ x: this.x, y: this.y, time });
+                if (this.stamps.length > this.options.maxStamps) this.stamps.shift();
+            }
+        }
+
+        this.stamps = still ? [] : this.stamps.filter(stamp => time - stamp.time < this.options.trail);
+        this.draw(time);
+    }
+
+    // One gradient per brush: the ASCII layers add up, the 3D layer's holes
+    // intersect (see .pixel-canvas mask-composite)
+    draw(time) {
+        const brushes = this.stamps.map(stamp => ({
+            x: stamp.x,
+            y: stamp.y,
+            strength: 1 - (time - stamp.time) / this.options.trail
+        }));
+        if (this.target) brushes.push({ x: this.x, y: this.y, strength: 1 });
+
+        const ascii = [];
+        const pixel = [];
+        brushes.forEach(({ x, y, strength }) => {
+            const size = 0.6 + strength * 0.4; // Trail stamps shrink as they fade
+            ascii.push(this.gradient(x, y, size, `rgba(0, 0, 0, ${strength.toFixed(2)})`, 'transparent'));
+            pixel.push(this.gradient(x, y, size * 0.8, `rgba(0, 0, 0, ${(1 - strength).toFixed(2)})`, 'black'));
+        });
+
+        const asciiMask = ascii.length > 0 ? ascii.join(', ') : HIDDEN_ASCII_MASK;
+        const pixelMask = pixel.length > 0 ? pixel.join(', ') : 'none';
+
+        // Restyling the mask is costly, so only when it changed
+        const masks = asciiMask + pixelMask;
+        if (masks === this.lastMasks) return;
+        this.lastMasks = masks;
+        this.container.style.setProperty('--ascii-mask', asciiMask);
+        this.container.style.setProperty('--pixel-mask', pixelMask);
+    }
+
+    gradient(x, y, size, inside, outside) {
+        const { radius, shape, aspect, softness } = this.options;
+        const rx = radius * size * (shape === 'ellipse' ? Math.sqrt(aspect) : 1);
+        const ry = radius * size / (shape === 'ellipse' ? Math.sqrt(aspect) : 1);
+        return `radial-gradient(ellipse ${rx.toFixed(1)}px ${ry.toFixed(1)}px at ${x.toFixed(1)}px ${y.toFixed(1)}px, ` +
+            `${inside} ${Math.round(softness * 100)}%, ${outside} 100%)`;
+    }
+
+    destroy() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.container.style.removeProperty('--ascii-mask');
+        this.container.style.removeProperty('--pixel-mask');
+    }
+}
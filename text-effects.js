@@ -0,0 +1,365 @@
+/**
+ * Xflow AI Hackathon 2026 - Text Effects
+ *
+ * TextEffects: Typewriter, scramble, decode, glitch, word reveal and fade-in.
+ * Each effect returns a Promise of true once it has finished, or false when
+ * options.signal (an AbortSignal) aborts it; a cancelled effect snaps to its
+ * end state so no half-typed text is left behind. Text effects draw into an
+ * aria-hidden copy and leave the real text in a visually hidden span, so
+ * screen readers always get the whole heading. With motion off (see
+ * accessibility.js) every effect jumps straight to its end.
+ * TextSequence: Plays a list of effect steps over a section in order
+ */
+
+const GLYPH_NOISE = '.:-+*=%@#';
+
+function randomGlyph(chars = GLYPH_NOISE) {
+    return chars[Math.floor(Math.random() * chars.length)];
+}
+
+// ===== TEXT EFFECTS =====
+const TextEffects = {
+    // ===== TIMING =====
+    // Calls onFrame(elapsed ms) every animation frame until it returns true.
+    // settle() runs if the signal aborts first.
+    frames(onFrame, signal, settle) {
+        return new Promise((resolve) => {
+            let start = null;
+            let id = null;
+
+            const abort = () => {
+                cancelAnimationFrame(id);
+                if (settle) settle();
+                resolve(false);
+            };
+            if (signal && signal.aborted) {
+                abort();
+                return;
+            }
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+
+            const step = (time) => {
+                if (start === null) start = time;
+                if (MotionPreference.get().still) { // Stopped mid-effect
+                    if (signal) signal.removeEventListener('abort', abort);
+                    if (settle) settle();
+                    resolve(true);
+                    return;
+                }
+                if (onFrame(time - start)) {
+                    if (signal) signal.removeEventListener('abort', abort);
+                    resolve(true);
+                    return;
+                }
+                id = requestAnimationFrame(step);
+            };
+            id = requestAnimationFrame(step);
+        });
+    },
+
+    wait(ms, signal) {
+        return new Promise((resolve) => {
+            if (signal && signal.aborted) {
+                resolve(false);
+                return;
+            }
+            const abort = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve(true);
+            }, ms);
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+        });
+    },
+
+    // Runs effect() after options.delay ms, unless cancelled while waiting
+    // (then settle() puts the end state in place). No waiting with motion off.
+    delayed(options, settle, effect) {
+        if (!options.delay || MotionPreference.get().still) return effect();
+        return TextEffects.wait(options.delay, options.signal).then((waited) => {
+            if (waited) return effect();
+            settle();
+            return false;
+        });
+    },
+
+    // Text an effect ends on: options.text, else what surface() stashed, else the element's
+    finalText(element, options) {
+        if (options.text !== undefined) return options.text;
+        if (element.dataset.fullText !== undefined) return element.dataset.fullText;
+        return element.textContent;
+    },
+
+    // The aria-hidden span a text effect draws into. The element's text moves
+    // to a visually hidden span beside it (kept at text, the final text).
+    surface(element, text) {
+        let label = element.querySelector(':scope > .text-effect-label');
+        let display = element.querySelector(':scope > .text-effect');
+        if (!display) {
+            // Plain text set since (e.g. the clock before the hero reveal) replaces both
+            element.textContent = '';
+            label = document.createElement('span');
+            label.className = 'text-effect-label visually-hidden';
+            display = document.createElement('span');
+            display.className = 'text-effect';
+            display.setAttribute('aria-hidden', 'true');
+            element.append(label, display);
+        }
+        label.textContent = text;
+        element.dataset.fullText = text;
+        return display;
+    },
+
+    // ===== TYPEWRITER =====
+    // options: text, speed (ms per character, default 50), cursor (blinking
+    // block after the text, default true), delay, signal
+    typewriter(element, options = {}) {
+        const text = TextEffects.finalText(element, options);
+        const display = TextEffects.surface(element, text);
+        const speed = options.speed || 50;
+        const settle = () => {
+            display.textContent = text;
+        };
+
+        return TextEffects.delayed(options, settle, () => {
+            display.textContent = '';
+            if (options.cursor !== false) element.classList.add('cursor-blink');
+
+            return TextEffects.frames((elapsed) => {
+                const count = Math.min(text.length, Math.floor(elapsed / speed) + 1);
+                display.textContent = text.slice(0, count);
+                return count >= text.length && elapsed >= count * speed;
+            }, options.signal, settle);
+        });
+    },
+
+    // ===== SCRAMBLE =====
+    // Characters flicker through noise, then settle left to right.
+    // options: text, suffix (only the last N characters, default all),
+    // from (only characters that differ from this text), charDuration (ms
+    // between characters settling, default 333), chars, delay, signal
+    scramble(element, options = {}) {
+        const text = TextEffects.finalText(element, options);
+        const display = TextEffects.surface(element, text);
+        const cutoff = options.suffix ? Math.max(0, text.length - options.suffix) : 0;
+        const charDuration = options.charDuration || 333;
+        const settle = () => {
+            display.textContent = text;
+        };
+
+        const targets = [];
+        for (let i = cutoff; i < text.length; i++) {
+            if (text[i] === ' ') continue;
+            if (options.from !== undefined && options.from[i] === text[i]) continue;
+            targets.push(i);
+        }
+
+        return TextEffects.delayed(options, settle, () => TextEffects.frames((elapsed) => {
+            const settled = Math.floor(elapsed / charDuration);
+            const chars = text.split('');
+            targets.forEach((index, order) => {
+                if (order >= settled) chars[index] = randomGlyph(options.chars);
+            });
+            display.textContent = chars.join('');
+            return settled >= targets.length;
+        }, options.signal, settle));
+    },
+
+    // ===== DECODE =====
+    // Every character starts as noise and locks in at its own random moment.
+    // options: text, duration (default 1200), chars, delay, signal
+    decode(element, options = {}) {
+        const text = TextEffects.finalText(element, options);
+        const display = TextEffects.surface(element, text);
+        const duration = options.duration || 1200;
+        const lockAt = Array.from(text, () => Math.random() * duration);
+        const settle = () => {
+            display.textContent = text;
+        };
+
+        return TextEffects.delayed(options, settle, () => TextEffects.frames((elapsed) => {
+            display.textContent = Array.from(text, (char, i) =>
+                (char === ' ' || elapsed >= lockAt[i] ? char : randomGlyph(options.chars))).join('');
+            return elapsed >= duration;
+        }, options.signal, settle));
+    },
+
+    // ===== GLITCH =====
+    // Short bursts where a share of the characters turn to noise, then the
+    // text comes back intact. options: duration (default 600), intensity
+    // (share of characters per burst, default 0.15), chars, delay, signal
+    glitch(element, options = {}) {
+        const text = TextEffects.finalText(element, options);
+        const display = TextEffects.surface(element, text);
+        const duration = options.duration || 600;
+        const intensity = options.intensity || 0.15;
+        const settle = () => {
+            display.textContent = text;
+            element.classList.remove('is-glitching');
+        };
+
+        return TextEffects.delayed(options, settle, () => {
+            element.classList.add('is-glitching');
+            return TextEffects.frames((elapsed) => {
+                if (elapsed >= duration) {
+                    settle();
+                    return true;
+                }
+                // On for two frames in three, so it stutters rather than smears
+                const burst = Math.floor(elapsed / 16) % 3 !== 2;
+                display.textContent = burst
+                    ? Array.from(text, char =>
+                        (char !== ' ' && Math.random() < intensity ? randomGlyph(options.chars) : char)).join('')
+                    : text;
+                return false;
+            }, options.signal, settle);
+        });
+    },
+
+    // ===== WORD REVEAL =====
+    // Words fade in one after another. Inline markup (bold, tooltips) is kept:
+    // only text nodes are split. options: stagger (ms, default 60), delay, signal
+    revealWords(element, options = {}) {
+        const words = TextEffects.wrapWords(element);
+        const stagger = options.stagger || 60;
+        const settle = () => words.forEach(word => word.classList.add('is-visible'));
+
+        return TextEffects.delayed(options, settle, () => TextEffects.frames((elapsed) => {
+            const count = Math.min(words.length, Math.floor(elapsed / stagger) + 1);
+            for (let i = 0; i < count; i++) words[i].classList.add('is-visible');
+            return count >= words.length;
+        }, options.signal, settle));
+    },
+
+    // Each word in a .reveal-word span (hidden by CSS until .is-visible); only once
+    wrapWords(element) {
+        if (!element.dataset.wordsWrapped) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+
+            nodes.forEach((node) => {
+                const parts = node.textContent.split(/(\s+)/);
+                const fragment = document.createDocumentFragment();
+                parts.forEach((part) => {
+                    if (part === '') return;
+                    if (/^\s+$/.test(part)) {
+                        fragment.appendChild(document.createTextNode(part));
+                        return;
+                    }
+                    const word = document.createElement('span');
+                    word.className = 'reveal-word';
+                    word.textContent = part;
+                    fragment.appendChild(word);
+                });
+                node.parentNode.replaceChild(fragment, node);
+            });
+            element.dataset.wordsWrapped = 'true';
+        }
+        return Array.from(element.querySelectorAll('.reveal-word'));
+    },
+
+    // ===== FADE =====
+    // Slides a .fade-element block into place. options: duration (how long
+    // the CSS transition runs, default 600), delay, signal
+    fadeIn(element, options = {}) {
+        const settle = () => element.classList.add('fade-in-active');
+
+        return TextEffects.delayed(options, settle, () => {
+            settle();
+            return TextEffects.wait(options.duration || 600, options.signal);
+        });
+    },
+
+    // ===== PREPARE =====
+    // Hide what an effect will reveal, before its section scrolls in
+    prepare(effect, element) {
+        switch (effect) {
+            case 'typewriter':
+                TextEffects.surface(element, TextEffects.finalText(element, {})).textContent = '';
+                element.classList.add('cursor-blink');
+                break;
+            case 'revealWords':
+                TextEffects.wrapWords(element);
+                break;
+            case 'fadeIn':
+                element.classList.add('fade-element');
+                break;
+            default: // Scramble, decode and glitch start from the visible text
+        }
+    }
+};
+
+// ===== SEQUENCER =====
+// A step: { effect, target, stagger = 0, delay = 0, wait = true, options }
+//   effect: a TextEffects name; target: selector inside the root, every
+//   match plays `stagger` ms after the one before; wait: false moves on to
+//   the next step without waiting for this one to finish
+const DEFAULT_SECTION_SEQUENCE = [
+    { effect: 'typewriter', target: 'h1' },
+    { effect: 'scramble', target: 'h3', stagger: 100, wait: false, options: { suffix: 8 } },
+    { effect: 'fadeIn', target: '.section-body-container > *', delay: 300, stagger: 200 }
+];
+
+const SEQUENCE_EFFECTS = ['typewriter', 'scramble', 'decode', 'glitch', 'revealWords', 'fadeIn'];
+
+class TextSequence {
+    constructor(root, steps = DEFAULT_SECTION_SEQUENCE) {
+        this.root = root;
+        this.steps = steps.filter((step) => {
+            if (SEQUENCE_EFFECTS.includes(step.effect)) return true;
+            console.warn(`Unknown text effect "${step.effect}"`);
+            return false;
+        });
+        this.controller = null;
+    }
+
+    targets(step) {
+        return Array.from(this.root.querySelectorAll(step.target));
+    }
+
+    prepare() {
+        this.steps.forEach(step => this.targets(step).forEach(element => TextEffects.prepare(step.effect, element)));
+    }
+
+    // -> Promise of true once every step has finished, false if cancelled
+    play() {
+        this.cancel();
+        const controller = new AbortController();
+        this.controller = controller;
+        const { signal } = controller;
+        const running = []; // Steps that didn't hold up the sequence
+
+        const playStep = (step) => {
+            const effects = this.targets(step).map((element, i) => TextEffects[step.effect](element, {
+                ...step.options,
+                delay: (step.delay || 0) + i * (step.stagger || 0),
+                signal
+            }));
+            return Promise.all(effects);
+        };
+
+        const chain = this.steps.reduce((previous, step) => previous.then(() => {
+            if (signal.aborted) return;
+            const played = playStep(step);
+            if (step.wait === false) {
+                running.push(played);
+                return;
+            }
+            return played;
+        }), Promise.resolve());
+
+        return chain
+            .then(() => Promise.all(running))
+            .then(() => !signal.aborted);
+    }
+
+    // Everything still running snaps to its end state
+    cancel() {
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+    }
+}
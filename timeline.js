@@ -0,0 +1,220 @@
+/**
+ * Xflow AI Hackathon 2026 - Timelines
+ *
+ * ModelTimeline: Keyframed entrance / idle / exit animation plus
+ * scroll-bound keyframes for a section's model, sampled once a frame
+ * TIMELINE_PRESETS: Ready-made timelines engines can pick by name
+ * scrollProgress: How far the page has scrolled through an element (0-1)
+ */
+
+// Every animatable property and its resting value. Offsets from all phases
+// are added together (scale multiplies).
+const POSE_DEFAULTS = {
+    positionX: 0, positionY: 0, positionZ: 0,
+    rotationX: 0, rotationY: 0, rotationZ: 0,
+    scale: 1
+};
+
+const EASINGS = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutExpo: t => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t))
+};
+
+// A timeline:
+//   entrance: { duration (ms), keyframes }  plays when the section first shows
+//   idle:     { spin (rad/s around Y), duration, keyframes }  loops after the entrance
+//   exit:     { at, duration, keyframes }  plays forward while scroll progress >= at,
+//             backward once the section scrolls back
+//   scroll:   { keyframes }  `at` is scroll progress through the section
+//   replay:   true restarts the entrance each time the section comes back into view
+// Keyframes: { at: 0-1, easing (into this frame), ...pose properties }
+const TIMELINE_PRESETS = {
+    // The original: rise from below while a fast spin winds down
+    spin: {
+        entrance: {
+            duration: 1800,
+            keyframes: [
+                { at: 0, positionY: -8, rotationY: -7 },
+                { at: 1, positionY: 0, rotationY: 0, easing: 'easeOutExpo' }
+            ]
+        },
+        idle: { spin: 0.12 }
+    },
+
+    // No timer spin: the model turns and drifts as the section scrolls past
+    scroll: {
+        entrance: {
+            duration: 900,
+            keyframes: [
+                { at: 0, scale: 0.6 },
+                { at: 1, scale: 1, easing: 'easeOutCubic' }
+            ]
+        },
+        scroll: {
+            keyframes: [
+                { at: 0, rotationY: -1.6, rotationX: 0.35, positionY: -1 },
+                { at: 0.5, rotationY: 0, rotationX: 0, positionY: 0, easing: 'easeInOutCubic' },
+                { at: 1, rotationY: 1.6, rotationX: -0.35, positionY: 1, easing: 'easeInOutCubic' }
+            ]
+        },
+        replay: true
+    },
+
+    // Settle in and bob gently, sinking away as the section leaves
+    float: {
+        entrance: {
+            duration: 1200,
+            keyframes: [
+                { at: 0, positionY: -3, rotationX: 0.6 },
+                { at: 1, positionY: 0, rotationX: 0, easing: 'easeOutCubic' }
+            ]
+        },
+        idle: {
+            spin: 0.2,
+            duration: 4000,
+            keyframes: [
+                { at: 0, positionY: 0 },
+                { at: 0.5, positionY: 0.25, easing: 'easeInOutCubic' },
+                { at: 1, positionY: 0, easing: 'easeInOutCubic' }
+            ]
+        },
+        exit: {
+            at: 0.8,
+            duration: 700,
+            keyframes: [
+                { at: 0, positionY: 0, scale: 1 },
+                { at: 1, positionY: -4, scale: 0.7, easing: 'easeInCubic' }
+            ]
+        },
+        replay: true
+    }
+};
+
+// ===== SAMPLING =====
+// Value of `property` at t (0-1), eased between the keyframes that set it
+function sampleKeyframes(keyframes, property, t) {
+    let previous = null;
+    for (const frame of keyframes) {
+        if (!(property in frame)) continue;
+        if (frame.at >= t) {
+            if (!previous) return frame[property];
+            const span = frame.at - previous.at;
+            const local = span > 0 ? (t - previous.at) / span : 1;
+            const ease = EASINGS[frame.easing] || EASINGS.linear;
+            return previous[property] + (frame[property] - previous[property]) * ease(local);
+        }
+        previous = frame;
+    }
+    return previous ? previous[property] : POSE_DEFAULTS[property];
+}
+
+// Add one phase's keyframed offsets at t into pose
+function applyKeyframes(pose, keyframes, t) {
+    if (!keyframes || keyframes.length === 0) return;
+    Object.keys(POSE_DEFAULTS).forEach((property) => {
+        if (!keyframes.some(frame => property in frame)) return;
+        const value = sampleKeyframes(keyframes, property, t);
+        if (property === 'scale') {
+            pose.scale *= value;
+        } else {
+            pose[property] += value;
+        }
+    });
+}
+
+// 0 when the element's top reaches the bottom of the viewport, 1 when its
+// bottom passes the top
+function scrollProgress(element) {
+    const rect = element.getBoundingClientRect();
+    const viewport = window.innerHeight;
+    const progress = (viewport - rect.top) / (viewport + rect.height);
+    return Math.max(0, Math.min(1, progress));
+}
+
+// ===== TIMELINE =====
+class ModelTimeline {
+    // timeline: a TIMELINE_PRESETS name or a timeline object
+    constructor(timeline = 'spin') {
+        const spec = typeof timeline === 'string' ? TIMELINE_PRESETS[timeline] : timeline;
+        if (!spec) {
+            console.warn(`Unknown timeline "${timeline}", using "spin"`);
+        }
+        this.spec = { ...(spec || TIMELINE_PRESETS.spin) };
+        // Keyframes in order of `at`, so sampling can walk them (sorted copies:
+        // the preset or event data stays as given)
+        ['entrance', 'idle', 'exit', 'scroll'].forEach((phase) => {
+            const keyframes = this.spec[phase] && this.spec[phase].keyframes;
+            if (keyframes) {
+                this.spec[phase] = { ...this.spec[phase], keyframes: keyframes.slice().sort((a, b) => a.at - b.at) };
+            }
+        });
+
+        this.entranceStart = null; // Set by the first update
+        this.lastTime = null;
+        this.exitTime = 0;
+        this.played = false;
+    }
+
+    // Section visibility changed (PerformanceGovernor): replay on re-enter
+    setVisible(visible) {
+        if (visible && this.played && this.spec.replay) {
+            this.entranceStart = null;
+            this.exitTime = 0;
+        }
+        this.lastTime = null; // Time offscreen doesn't count
+    }
+
+    isEntering(time) {
+        const entrance = this.spec.entrance;
+        return this.entranceStart === null ||
+            (!!entrance && time - this.entranceStart < entrance.duration);
+    }
+
+    // time: ms (performance.now()), progress: scrollProgress() -> pose
+    update(time, progress) {
+        if (this.entranceStart === null) {
+            this.entranceStart = time;
+            this.played = true;
+        }
+        const delta = this.lastTime === null ? 0 : Math.min(time - this.lastTime, 100);
+        this.lastTime = time;
+
+        const pose = { ...POSE_DEFAULTS };
+        const { entrance, idle, exit, scroll } = this.spec;
+        const elapsed = time - this.entranceStart;
+
+        if (entrance) {
+            applyKeyframes(pose, entrance.keyframes, Math.min(1, elapsed / entrance.duration));
+        }
+
+        const idleTime = elapsed - (entrance ? entrance.duration : 0);
+        if (idle && idleTime > 0) {
+            pose.rotationY += (idle.spin || 0) * idleTime / 1000;
+            if (idle.keyframes && idle.duration) {
+                applyKeyframes(pose, idle.keyframes, (idleTime % idle.duration) / idle.duration);
+            }
+        }
+
+        if (scroll) {
+            applyKeyframes(pose, scroll.keyframes, progress);
+        }
+
+        if (exit) {
+            const direction = progress >= exit.at ? 1 : -1;
+            this.exitTime = Math.max(0, Math.min(exit.duration, this.exitTime + direction * delta));
+            if (this.exitTime > 0) {
+                applyKeyframes(pose, exit.keyframes, this.exitTime / exit.duration);
+            }
+        }
+
+        return pose;
+    }
+}
+
+// tools/ascii-render.js animates with the same timelines
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelTimeline, TIMELINE_PRESETS };
+}
@@ -0,0 +1,717 @@
+#!/usr/bin/env node
+/**
+ * Xflow AI Hackathon 2026 - Headless ASCII renderer
+ *
+ * Draws a model the way the engines do, without a browser or WebGL. A small
+ * software rasterizer stands in for Three.js (same camera, fit, preset
+ * material and lights); the pixels then go through the engines' own
+ * ASCIIConverter (ascii.js), timelines (timeline.js) and export formats
+ * (export.js). Also writes the static posters the engines fall back to
+ * (posters/*.txt, plus the hero's <noscript> copy in index.html) and an SVG
+ * of the hero for og-image.png. It does not write the PNG itself: that takes
+ * an SVG rasterizer with the page font, which Node doesn't have.
+ *
+ * Unlike the browser: no shadow maps or antialiasing, parts are opaque, and
+ * ramps are used in the order given (the engines sort them by ink measured
+ * in the page font, which needs a browser).
+ *
+ * Usage:
+ *   node tools/ascii-render.js "obj files/Trophy.xfm" [options]     animate in the terminal (Ctrl+C stops)
+ *   node tools/ascii-render.js "obj files/Trophy.xfm" --still       print the resting frame
+ *   node tools/ascii-render.js "obj files/Trophy.xfm" --frames 48 --out frames
+ *   node tools/ascii-render.js --posters [--event 2026]
+ *   node tools/ascii-render.js --og [--event 2026]
+ *
+ * --engine hero|section  look and fit of ASCIIOnlyEngine or ThreeJSEngine (default section)
+ * --size WxH       container in CSS px (default: the terminal, or the engine's usual box)
+ * --chars s        glyph ramp, dark to bright (default: the engine's)
+ * --preset name    hero, section or matte (see presets.js; default: the engine's)
+ * --strategy name  luminance, edge, bayer or floyd-steinberg
+ * --levels v       fixed (default), auto or low,high
+ * --timeline name  spin, scroll or float (see timeline.js; default spin). Scroll-bound
+ *                  keyframes sit where the section is mid-screen.
+ * --fps N          animation and frame rate (default 12)
+ * --seconds N      stop the terminal animation after N seconds
+ * --still          one frame at the resting pose (the default when not printing to a terminal)
+ * --frames N       write N frames instead of animating
+ * --format f       txt or svg (one file per frame) or cast (one asciicast); default txt
+ * --out path       file for --still, directory (or .cast file) for --frames
+ * --posters        every model in the event file at its engine's usual size -> posters/
+ *                  (under --out when given). The software shading is not the browser's,
+ *                  so existing posters are only replaced with --force, after comparing
+ *                  against a capture from the page (engine.exportFrame('txt'))
+ * --force          let --posters replace posters/ and the <noscript> copy in index.html
+ * --og             the hero model at 1200x630 -> og-image.txt and og-image.svg, under
+ *                  --out when given; both stay out of git. No PNG: rasterize the SVG
+ *                  to og-image.png yourself (e.g. rsvg-convert) and commit that
+ * --event name     event file for --posters / --og (default: the current one in events/index.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ASCIIConverter } = require('../ascii.js');
+const { ASCIIExport } = require('../export.js');
+const { resolvePreset } = require('../presets.js');
+const { ModelTimeline } = require('../timeline.js');
+const { decodeXFM } = require('../xfm-loader.js');
+const { modelName, posterPath } = require('../loading.js');
+const { parseOBJ } = require('./obj2xfm.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// ===== ENGINES =====
+// What engine.js sets up for each engine: preset, ramp, CSS cell size
+// (style.css font), usual container, scene background, fit and the
+// converter options it adds
+const ENGINES = {
+    hero: {
+        preset: 'hero',
+        chars: '.:*₹€£$',
+        cell: [5.4, 9],
+        size: [1200, 640],
+        background: [31, 39, 65, 255], // #1F2741
+        fit: (size, visibleWidth, visibleHeight) => Math.min(
+            (visibleWidth * 0.60) / size[0],
+            (visibleHeight * 0.80) / size[1]
+        ),
+        converter: {}
+    },
+    section: {
+        preset: 'section',
+        chars: '.₹$€£',
+        cell: [6, 10],
+        size: [590, 642],
+        background: [0, 0, 0, 0], // Transparent
+        fit: (size, visibleWidth, visibleHeight) =>
+            Math.min(4, visibleWidth * 0.8, visibleHeight * 0.8) / Math.max(size[0], size[1], size[2]),
+        converter: { alphaThreshold: 50, backgroundChar: '.' }
+    }
+};
+
+const CAMERA = { fov: 35, z: 15, near: 0.1 };
+const TEXT_COLOR = '#FEFEFE';
+const PAGE_BACKGROUND = '#1F2741';
+const FONT_FAMILY = "'IBM Plex Mono', monospace";
+const OG_SIZE = [1200, 630];
+
+// ===== CLI =====
+function parseArgs(argv) {
+    const options = {
+        model: null, engine: 'section', size: null, chars: null, preset: null, strategy: null,
+        levels: null, timeline: null, fps: 12, seconds: 0, still: false, frames: 0, format: 'txt',
+        out: null, posters: false, force: false, og: false, event: null
+    };
+    const number = (arg, value) => {
+        const parsed = parseFloat(value);
+        if (!(parsed > 0)) throw new Error(`${arg} needs a number`);
+        return parsed;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--engine') options.engine = argv[++i];
+        else if (arg === '--size') options.size = parseSize(argv[++i]);
+        else if (arg === '--chars') options.chars = argv[++i];
+        else if (arg === '--preset') options.preset = argv[++i];
+        else if (arg === '--strategy') options.strategy = argv[++i];
+        else if (arg === '--levels') options.levels = parseLevels(argv[++i]);
+        else if (arg === '--timeline') options.timeline = argv[++i];
+        else if (arg === '--fps') options.fps = number(arg, argv[++i]);
+        else if (arg === '--seconds') options.seconds = number(arg, argv[++i]);
+        else if (arg === '--still') options.still = true;
+        else if (arg === '--frames') options.frames = Math.round(number(arg, argv[++i]));
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--posters') options.posters = true;
+        else if (arg === '--force') options.force = true;
+        else if (arg === '--og') options.og = true;
+        else if (arg === '--event') options.event = argv[++i];
+        else if (arg.startsWith('--') || options.model) throw new Error(`Unknown argument: ${arg}`);
+        else options.model = arg;
+    }
+
+    if (!ENGINES[options.engine]) throw new Error(`--engine is hero or section, not ${options.engine}`);
+    if (!['txt', 'svg', 'cast'].includes(options.format)) throw new Error(`--format is txt, svg or cast, not ${options.format}`);
+    if (!options.model && !options.posters && !options.og) throw new Error('Name a model, or pass --posters or --og');
+    if (options.frames && !options.out) throw new Error('--frames needs --out');
+    return options;
+}
+
+// '590x642' -> [590, 642]
+function parseSize(value) {
+    const match = /^(\d+)x(\d+)$/.exec(value || '');
+    if (!match) throw new Error(`--size is WIDTHxHEIGHT, not ${value}`);
+    return [parseInt(match[1], 10), parseInt(match[2], 10)];
+}
+
+// 'auto' | 'fixed' | '0.1,0.8' (the converter's levels option)
+function parseLevels(value) {
+    if (value === 'auto' || value === 'fixed') return value;
+    const bounds = String(value).split(',').map(Number);
+    if (bounds.length !== 2 || bounds.some(isNaN)) throw new Error(`--levels is auto, fixed or low,high, not ${value}`);
+    return bounds;
+}
+
+// ===== MODELS =====
+// .xfm through the browser's decoder (the OBJ export when there is no .xfm),
+// anything else through obj2xfm's OBJ parser -> { meshes: [{ name, positions,
+// normals (unit floats), indices }], materialLibraries }
+function loadModel(modelPath) {
+    let file = path.resolve(ROOT, modelPath);
+    if (/\.xfm$/i.test(file) && !fs.existsSync(file)) file = file.replace(/\.xfm$/i, '.obj');
+
+    if (/\.xfm$/i.test(file)) {
+        const data = fs.readFileSync(file);
+        const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+        const { materialLibraries, meshes } = decodeXFM(buffer);
+        return {
+            materialLibraries,
+            meshes: meshes.map(mesh => ({
+                name: mesh.name,
+                positions: mesh.positions,
+                normals: Float32Array.from(mesh.normals, n => Math.max(n / 127, -1)), // As a normalized attribute
+                indices: mesh.indices
+            }))
+        };
+    }
+
+    const meshes = parseOBJ(fs.readFileSync(file, 'utf8'));
+    return {
+        materialLibraries: meshes.materialLibraries,
+        meshes: meshes.map(mesh => ({
+            name: mesh.name,
+            positions: Float32Array.from(mesh.positions),
+            normals: Float32Array.from(mesh.normals),
+            indices: Uint32Array.from(mesh.indices)
+        }))
+    };
+}
+
+// Diffuse (Kd) colors from the model's MTL files, like applyModelMaterials;
+// libraries that aren't there are skipped
+function readMaterialColors(modelPath, libraries) {
+    const colors = new Map();
+    const dir = path.dirname(path.resolve(ROOT, modelPath));
+    (libraries || []).forEach((library) => {
+        let text;
+        try {
+            text = fs.readFileSync(path.join(dir, library), 'utf8');
+        } catch (error) {
+            return;
+        }
+        let name = null;
+        text.split('\n').forEach((line) => {
+            const parts = line.trim().split(/\s+/);
+            if (parts[0] === 'newmtl') name = parts.slice(1).join(' ');
+            else if (parts[0] === 'Kd' && name) colors.set(name, parts.slice(1, 4).map(Number));
+        });
+    });
+    return colors;
+}
+
+function computeBounds(meshes) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    meshes.forEach(({ positions }) => {
+        for (let i = 0; i < positions.length; i++) {
+            const axis = i % 3;
+            if (positions[i] < min[axis]) min[axis] = positions[i];
+            if (positions[i] > max[axis]) max[axis] = positions[i];
+        }
+    });
+    return {
+        center: min.map((value, axis) => (value + max[axis]) / 2),
+        size: min.map((value, axis) => max[axis] - value)
+    };
+}
+
+// ===== MATERIALS & LIGHTS =====
+// Three.js r140 shading with its defaults (linear output, legacy light
+// intensities): Phong and Lambert as Blinn-Phong, Standard as GGX
+const toLinear = color => ASCIIConverter.parseColor(color).map(c => c / 255);
+
+function createMaterial(spec, color) {
+    const type = spec.type || 'standard';
+    const base = color || toLinear(spec.color !== undefined ? spec.color : 0xffffff);
+    if (type === 'standard') {
+        const metalness = spec.metalness !== undefined ? spec.metalness : 0;
+        const roughness = Math.max(0.0525, spec.roughness !== undefined ? spec.roughness : 1);
+        return {
+            type,
+            diffuse: base.map(c => c * (1 - metalness)),
+            specular: base.map(c => 0.04 + (c - 0.04) * metalness),
+            alpha: roughness * roughness
+        };
+    }
+    return {
+        type,
+        diffuse: base,
+        specular: type === 'phong' ? toLinear(spec.specular !== undefined ? spec.specular : 0x111111) : null,
+        shininess: spec.shininess !== undefined ? spec.shininess : 30
+    };
+}
+
+function createLights(specs) {
+    return specs.map((spec) => {
+        const color = toLinear(spec.color !== undefined ? spec.color : 0xffffff);
+        const intensity = spec.intensity !== undefined ? spec.intensity : 1;
+        let position = spec.position ? spec.position.slice() : [0, 1, 0]; // Three's default up
+        if (spec.normalize || spec.type !== 'point') position = normalize(position);
+        return {
+            type: spec.type || 'directional',
+            color: color.map(c => c * intensity),
+            ground: spec.groundColor !== undefined ? toLinear(spec.groundColor).map(c => c * intensity) : null,
+            position
+        };
+    });
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function fresnel(f0, dotVH) {
+    const weight = Math.pow(2, (-5.55473 * dotVH - 6.98316) * dotVH);
+    return f0.map(c => c * (1 - weight) + weight);
+}
+
+// Specular reflectance for one light, with the legacy PI folded in
+function specularTerm(material, n, l, v) {
+    const h = normalize([l[0] + v[0], l[1] + v[1], l[2] + v[2]]);
+    const dotNH = Math.max(0, dot(n, h));
+    const dotVH = Math.max(0, dot(v, h));
+    const F = fresnel(material.specular, dotVH);
+
+    if (material.type === 'phong') {
+        const D = (0.5 * material.shininess + 1) * Math.pow(dotNH, material.shininess);
+        return F.map(c => c * 0.25 * D);
+    }
+
+    const a2 = material.alpha * material.alpha;
+    const dotNL = Math.max(0, dot(n, l));
+    const dotNV = Math.max(0, dot(n, v));
+    const gv = dotNL * Math.sqrt(a2 + (1 - a2) * dotNV * dotNV);
+    const gl = dotNV * Math.sqrt(a2 + (1 - a2) * dotNL * dotNL);
+    const V = 0.5 / Math.max(gv + gl, 1e-6);
+    const denominator = dotNH * dotNH * (a2 - 1) + 1;
+    const D = a2 / (denominator * denominator); // The 1 / PI cancels the legacy PI
+    return F.map(c => c * V * D);
+}
+
+// n: unit normal facing the camera side that is drawn, p: world position -> [r, g, b] 0-1
+function shade(material, lights, n, p) {
+    const v = normalize([-p[0], -p[1], CAMERA.z - p[2]]);
+    const diffuse = [0, 0, 0];
+    const specular = [0, 0, 0];
+
+    lights.forEach((light) => {
+        if (light.type === 'ambient') {
+            for (let c = 0; c < 3; c++) diffuse[c] += light.color[c];
+            return;
+        }
+        if (light.type === 'hemisphere') {
+            const weight = 0.5 * dot(n, light.position) + 0.5;
+            for (let c = 0; c < 3; c++) diffuse[c] += light.ground[c] + (light.color[c] - light.ground[c]) * weight;
+            return;
+        }
+
+        const l = light.type === 'point'
+            ? normalize([light.position[0] - p[0], light.position[1] - p[1], light.position[2] - p[2]])
+            : light.position;
+        const dotNL = Math.max(0, dot(n, l));
+        if (dotNL === 0) return;
+
+        const reflect = material.specular ? specularTerm(material, n, l, v) : null;
+        for (let c = 0; c < 3; c++) {
+            diffuse[c] += light.color[c] * dotNL;
+            if (reflect) specular[c] += light.color[c] * dotNL * reflect[c];
+        }
+    });
+
+    return diffuse.map((light, c) => Math.min(1, light * material.diffuse[c] + specular[c]));
+}
+
+// ===== RASTERIZER =====
+// Renders straight at the ASCII grid: the engines sample their render with
+// smoothing off, i.e. one pixel per cell, so a cols x rows image with the
+// container's aspect sees the same points
+class SoftwareRenderer {
+    // look: an ENGINES entry; modelOptions: the engine options (preset, material, lights)
+    constructor(model, look, modelOptions, modelPath) {
+        this.look = look;
+        this.bounds = computeBounds(model.meshes);
+
+        const preset = resolvePreset(modelOptions.preset || look.preset, modelOptions, look.preset);
+        const colors = modelOptions.mtl === false ? new Map() : readMaterialColors(modelPath, model.materialLibraries);
+        this.lights = createLights(preset.lights);
+        this.meshes = model.meshes.map(mesh => ({
+            ...mesh,
+            material: createMaterial(preset.material, colors.get(mesh.name) || null)
+        }));
+    }
+
+    setSize(width, height) {
+        this.cols = Math.floor(width / this.look.cell[0]);
+        this.rows = Math.floor(height / this.look.cell[1]);
+        this.aspect = width / height;
+
+        // fitObject(): sized to the visible area at the model's depth
+        const visibleHeight = 2 * Math.tan((CAMERA.fov * Math.PI) / 360) * CAMERA.z;
+        this.scale = this.look.fit(this.bounds.size, visibleHeight * this.aspect, visibleHeight);
+    }
+
+    // pose: a timeline pose (the model group's position / rotation / scale) -> RGBA
+    render(pose) {
+        const { cols, rows } = this;
+        const count = cols * rows;
+        const depth = new Float32Array(count).fill(Infinity);
+        const normals = new Float32Array(count * 3);
+        const points = new Float32Array(count * 3);
+        const owners = new Int16Array(count).fill(-1);
+
+        const matrix = rotationMatrix(pose.rotationX, pose.rotationY, pose.rotationZ);
+        const offset = this.bounds.center.map(c => -c * this.scale);
+        const tanHalf = Math.tan((CAMERA.fov * Math.PI) / 360);
+
+        this.meshes.forEach((mesh, owner) => {
+            const vertexCount = mesh.positions.length / 3;
+            const world = new Float32Array(vertexCount * 3);
+            const turned = new Float32Array(vertexCount * 3);
+            const screen = new Float32Array(vertexCount * 3); // x, y, 1 / distance
+
+            for (let i = 0, o = 0; i < vertexCount; i++, o += 3) {
+                const local = [0, 1, 2].map(axis => (mesh.positions[o + axis] * this.scale + offset[axis]) * pose.scale);
+                const p = transform(matrix, local);
+                world[o] = p[0] + pose.positionX;
+                world[o + 1] = p[1] + pose.positionY;
+                world[o + 2] = p[2] + pose.positionZ;
+                turned.set(transform(matrix, [mesh.normals[o], mesh.normals[o + 1], mesh.normals[o + 2]]), o);
+
+                const distance = CAMERA.z - world[o + 2];
+                screen[o] = (world[o] / (distance * tanHalf * this.aspect) + 1) * 0.5 * cols;
+                screen[o + 1] = (1 - world[o + 1] / (distance * tanHalf)) * 0.5 * rows;
+                screen[o + 2] = distance > CAMERA.near ? 1 / distance : 0;
+            }
+
+            const { indices } = mesh;
+            for (let t = 0; t < indices.length; t += 3) {
+                const a = indices[t] * 3;
+                const b = indices[t + 1] * 3;
+                const c = indices[t + 2] * 3;
+                if (!screen[a + 2] || !screen[b + 2] || !screen[c + 2]) continue; // Behind the near plane
+
+                const area = (screen[b] - screen[a]) * (screen[c + 1] - screen[a + 1]) -
+                    (screen[c] - screen[a]) * (screen[b + 1] - screen[a + 1]);
+                if (area === 0) continue;
+                const facing = area < 0 ? 1 : -1; // Counter-clockwise on screen (y up) is the front; DoubleSide flips the back
+
+                const minX = Math.max(0, Math.ceil(Math.min(screen[a], screen[b], screen[c]) - 0.5));
+                const maxX = Math.min(cols - 1, Math.floor(Math.max(screen[a], screen[b], screen[c]) - 0.5));
+                const minY = Math.max(0, Math.ceil(Math.min(screen[a + 1], screen[b + 1], screen[c + 1]) - 0.5));
+                const maxY = Math.min(rows - 1, Math.floor(Math.max(screen[a + 1], screen[b + 1], screen[c + 1]) - 0.5));
+
+                for (let y = minY; y <= maxY; y++) {
+                    const py = y + 0.5;
+                    for (let x = minX; x <= maxX; x++) {
+                        const px = x + 0.5;
+                        const wa = ((screen[b] - px) * (screen[c + 1] - py) - (screen[c] - px) * (screen[b + 1] - py)) / area;
+                        const wb = ((screen[c] - px) * (screen[a + 1] - py) - (screen[a] - px) * (screen[c + 1] - py)) / area;
+                        const wc = 1 - wa - wb;
+                        if (wa < 0 || wb < 0 || wc < 0) continue;
+
+                        // Perspective-correct weights
+                        const ia = wa * screen[a + 2];
+                        const ib = wb * screen[b + 2];
+                        const ic = wc * screen[c + 2];
+                        const inverse = ia + ib + ic;
+                        const distance = 1 / inverse;
+                        const i = y * cols + x;
+                        if (distance >= depth[i]) continue;
+
+                        depth[i] = distance;
+                        owners[i] = owner;
+                        for (let axis = 0; axis < 3; axis++) {
+                            normals[i * 3 + axis] = facing *
+                                (turned[a + axis] * ia + turned[b + axis] * ib + turned[c + axis] * ic) / inverse;
+                            points[i * 3 + axis] = (world[a + axis] * ia + world[b + axis] * ib + world[c + axis] * ic) / inverse;
+                        }
+                    }
+                }
+            }
+        });
+
+        // Shaded once per cell, after the depth test
+        const data = new Uint8ClampedArray(count * 4);
+        for (let i = 0, p = 0; i < count; i++, p += 4) {
+            if (owners[i] < 0) {
+                data.set(this.look.background, p);
+                continue;
+            }
+            const n = normalize([normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]]);
+            const rgb = shade(this.meshes[owners[i]].material, this.lights, n, [points[i * 3], points[i * 3 + 1], points[i * 3 + 2]]);
+            data[p] = Math.round(rgb[0] * 255);
+            data[p + 1] = Math.round(rgb[1] * 255);
+            data[p + 2] = Math.round(rgb[2] * 255);
+            data[p + 3] = 255;
+        }
+        return data;
+    }
+}
+
+// Euler XYZ (Three's default order) -> row-major 3x3
+function rotationMatrix(x, y, z) {
+    const a = Math.cos(x), b = Math.sin(x);
+    const c = Math.cos(y), d = Math.sin(y);
+    const e = Math.cos(z), f = Math.sin(z);
+    return [
+        c * e, -c * f, d,
+        a * f + b * e * d, a * e - b * f * d, -b * c,
+        b * f - a * e * d, b * e + a * f * d, a * c
+    ];
+}
+
+function transform(m, v) {
+    return [
+        m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+        m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+        m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+    ];
+}
+
+// ===== FRAMES =====
+const REST_POSE = {
+    positionX: 0, positionY: 0, positionZ: 0,
+    rotationX: 0, rotationY: 0, rotationZ: 0,
+    scale: 1
+};
+
+// One model drawn the way its engine would: renderer + converter + metrics
+function createView(modelPath, engine, modelOptions, size) {
+    const look = ENGINES[engine];
+    const renderer = new SoftwareRenderer(loadModel(modelPath), look, modelOptions, modelPath);
+    renderer.setSize(size[0], size[1]);
+
+    // A fresh converter, so auto-levels start from the same state every run
+    const converter = new ASCIIConverter({ ...modelOptions, chars: modelOptions.chars || look.chars, ...look.converter });
+    const metrics = {
+        glyphs: converter.glyphs,
+        charWidth: look.cell[0],
+        charHeight: look.cell[1],
+        fontFamily: FONT_FAMILY,
+        fontWeight: '400',
+        color: TEXT_COLOR,
+        background: PAGE_BACKGROUND,
+        title: modelPath
+    };
+
+    return {
+        renderer,
+        converter,
+        metrics,
+        frame(pose = REST_POSE) {
+            const { cols, rows } = renderer;
+            const indices = converter.map(renderer.render(pose), cols, rows);
+            return { cols, rows, indices, colors: null, text: converter.toText(indices, cols, rows) };
+        }
+    };
+}
+
+// CLI flags over the engine options they stand for
+function engineOptions(options) {
+    const picked = {};
+    ['chars', 'preset', 'strategy', 'levels', 'timeline'].forEach((key) => {
+        if (options[key] !== null) picked[key] = options[key];
+    });
+    return picked;
+}
+
+function writeFile(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+}
+
+function formatFrame(frame, metrics, format) {
+    return format === 'svg' ? ASCIIExport.toSVG(frame, metrics) : ASCIIExport.toText(frame, metrics);
+}
+
+// Timeline time steps by 1 / fps, whatever the machine's speed
+function writeFrames(view, options, timeline) {
+    const frames = [];
+    for (let i = 0; i < options.frames; i++) {
+        frames.push(view.frame(timeline.update((i * 1000) / options.fps, 0.5)));
+    }
+
+    if (options.format === 'cast') {
+        const file = /\.cast$/.test(options.out) ? options.out : path.join(options.out, `${modelName(options.model)}.cast`);
+        writeFile(file, ASCIIExport.toCast(frames, options.fps, view.metrics));
+        console.log(`${options.model} -> ${file}: ${frames.length} frames`);
+        return;
+    }
+
+    const digits = String(frames.length).length;
+    frames.forEach((frame, i) => {
+        const file = path.join(options.out, `${modelName(options.model)}-${String(i + 1).padStart(digits, '0')}.${options.format}`);
+        writeFile(file, formatFrame(frame, view.metrics, options.format));
+    });
+    console.log(`${options.model} -> ${options.out}: ${frames.length} ${options.format} frames of ${frames[0].cols}x${frames[0].rows}`);
+}
+
+// Redraws in place at options.fps until Ctrl+C or options.seconds
+function animate(view, options, timeline, sizeFromTerminal) {
+    const out = process.stdout;
+    const start = Date.now();
+    let timer = null;
+
+    const stop = () => {
+        clearInterval(timer);
+        out.write('\u001b[0m\u001b[?25h\n'); // Cursor back
+        process.exit(0);
+    };
+
+    const fit = () => {
+        if (!sizeFromTerminal) return;
+        view.renderer.setSize(...terminalSize(options.engine));
+        out.write('\u001b[2J');
+    };
+
+    const tick = () => {
+        const elapsed = Date.now() - start;
+        if (options.seconds && elapsed >= options.seconds * 1000) stop();
+        const frame = view.frame(timeline.update(elapsed, 0.5));
+        out.write(`\u001b[H${frame.text.replace(/\n$/, '')}`);
+    };
+
+    process.on('SIGINT', stop);
+    out.on('resize', fit);
+    out.write('\u001b[?25l\u001b[2J'); // Hide the cursor, clear
+    tick();
+    timer = setInterval(tick, 1000 / options.fps);
+}
+
+// The terminal in CSS px of the engine's cells, one row left for the prompt
+function terminalSize(engine) {
+    const [cellWidth, cellHeight] = ENGINES[engine].cell;
+    return [process.stdout.columns * cellWidth, (process.stdout.rows - 1) * cellHeight];
+}
+
+// ===== EVENT FILE =====
+function readEvent(eventName) {
+    const readJSON = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'events', file), 'utf8'));
+    const name = eventName || readJSON('index.json').current;
+    if (!/^[\w-]+$/.test(name)) throw new Error(`Bad event name: ${name}`);
+    return readJSON(`${name}.json`);
+}
+
+// Hero first, then each section's model once; posters are named by model.
+// Nothing is written if a committed poster would be replaced without --force.
+function writePosters(options) {
+    const event = readEvent(options.event);
+    const models = [{ engine: 'hero', model: event.hero.model }]
+        .concat(event.sections.filter(section => section.model).map(section => ({ engine: 'section', model: section.model })));
+    const dir = options.out || ROOT;
+
+    const existing = models.map(({ model }) => posterPath(model.path))
+        .filter(file => fs.existsSync(path.join(dir, file)));
+    if (existing.length > 0 && !options.force) {
+        throw new Error(`${existing.join(', ')} already there; compare the render with a browser capture, ` +
+            'then pass --force to replace them (or --out to write elsewhere)');
+    }
+
+    const written = new Set();
+    models.forEach(({ engine, model }) => {
+        const file = posterPath(model.path);
+        if (written.has(file)) return;
+        written.add(file);
+
+        const modelOptions = { ...(model.options || {}), ...engineOptions(options) };
+        const view = createView(model.path, engine, modelOptions, options.size || ENGINES[engine].size);
+        const frame = view.frame();
+        writeFile(path.join(dir, file), frame.text);
+        console.log(`${model.path} -> ${path.join(dir, file)} (${engine}, ${frame.cols}x${frame.rows})`);
+
+        if (engine === 'hero' && !options.out) writeNoscriptPoster(frame.text, modelOptions.label || `ASCII art of ${modelName(model.path).replace(/[_-]+/g, ' ')}`);
+    });
+}
+
+// The hero poster inline in index.html, for visitors without JavaScript
+function writeNoscriptPoster(text, label) {
+    const file = path.join(ROOT, 'index.html');
+    const html = fs.readFileSync(file, 'utf8');
+    const poster = /<noscript><pre class="hero-poster"[^>]*>[\s\S]*?<\/pre><\/noscript>/;
+    if (!poster.test(html)) {
+        console.warn('index.html has no <noscript><pre class="hero-poster"> to fill');
+        return;
+    }
+
+    const attribute = ASCIIExport.escapeXML(label).replace(/"/g, '&quot;');
+    const replacement = `<noscript><pre class="hero-poster" role="img" aria-label="${attribute}">` +
+        `${ASCIIExport.escapeXML(text.replace(/\n$/, ''))}</pre></noscript>`;
+    fs.writeFileSync(file, html.replace(poster, () => replacement));
+    console.log('Hero poster -> index.html <noscript>');
+}
+
+// The hero at the share card's size: text, and an SVG exactly 1200x630 to
+// rasterize into og-image.png (not done here; og-image.png is only replaced by hand)
+function writeOGImage(options) {
+    const event = readEvent(options.event);
+    const modelOptions = { ...(event.hero.model.options || {}), ...engineOptions(options) };
+    const view = createView(event.hero.model.path, 'hero', modelOptions, OG_SIZE);
+    const frame = view.frame();
+    const metrics = { ...view.metrics, charWidth: OG_SIZE[0] / frame.cols, charHeight: OG_SIZE[1] / frame.rows };
+
+    const dir = options.out || ROOT;
+    writeFile(path.join(dir, 'og-image.txt'), frame.text);
+    writeFile(path.join(dir, 'og-image.svg'), ASCIIExport.toSVG(frame, metrics));
+    console.log(`${event.hero.model.path} -> og-image.txt, og-image.svg (${frame.cols}x${frame.rows}); ` +
+        'og-image.png is not written: rasterize the SVG, e.g. rsvg-convert og-image.svg -o og-image.png');
+}
+
+// ===== MAIN =====
+// Any failure (bad arguments, unreadable model, unwritable --out) ends with
+// one line on stderr and exit code 1
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.posters) writePosters(options);
+        if (options.og) writeOGImage(options);
+        if (options.model) renderModel(options);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+// The terminal animation, or frames / one still to --out or stdout
+function renderModel(options) {
+    const interactive = process.stdout.isTTY && !options.still && !options.frames;
+    const sizeFromTerminal = !options.size && !!process.stdout.isTTY && !options.frames;
+    const size = options.size || (sizeFromTerminal ? terminalSize(options.engine) : ENGINES[options.engine].size);
+
+    let view;
+    try {
+        view = createView(options.model, options.engine, engineOptions(options), size);
+    } catch (error) {
+        throw new Error(`${options.model}: ${error.message}`);
+    }
+    const timeline = new ModelTimeline(options.timeline || 'spin');
+
+    if (options.frames) {
+        writeFrames(view, options, timeline);
+    } else if (interactive) {
+        animate(view, options, timeline, sizeFromTerminal);
+    } else {
+        const frame = view.frame();
+        if (options.out) writeFile(options.out, formatFrame(frame, view.metrics, options.format));
+        else process.stdout.write(frame.text);
+    }
+}
+
+// Runs from the command line only, so the file can be required
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Xflow AI Hackathon 2026 - Mock server
+ *
+ * Serves the site and stands in for the endpoint of the team application
+ * form (application.js), so it can be tried end to end. Submissions are
+ * checked against the event file's rules with the form's own
+ * validateApplication and kept in memory; nothing leaves the machine.
+ *
+ * Usage:
+ *   node tools/mock-server.js [--port 8080] [--event 2026] [--delay 0] [--fail]
+ *
+ * --port N      listen on localhost:N (default 8080)
+ * --event name  rules from events/<name>.json (default: the current one in events/index.json)
+ * --delay ms    answer submissions after ms, to see the form's sending state
+ * --fail        answer every submission with 503, to see the form keep its draft
+ *
+ * POST /<endpoint>  -> 201 { id } | 400 { problems } (not JSON) | 422 { problems }
+ * GET  /<endpoint>  -> every application received so far
+ * (endpoint from the event's application block, e.g. api/applications)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { validateApplication } = require('../application.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY = 100 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.obj': 'text/plain; charset=utf-8',
+    '.mtl': 'text/plain; charset=utf-8',
+    '.xfm': 'application/octet-stream'
+};
+
+// ===== CLI =====
+function parseArgs(argv) {
+    const options = { port: 8080, event: null, delay: 0, fail: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i], 10);
+        else if (arg === '--event') options.event = argv[++i];
+        else if (arg === '--delay') options.delay = parseInt(argv[++i], 10);
+        else if (arg === '--fail') options.fail = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!(options.port > 0)) throw new Error('--port needs a number');
+    if (!(options.delay >= 0)) throw new Error('--delay needs a number of ms');
+    return options;
+}
+
+// The first application block in the event file
+function readApplicationConfig(eventName) {
+    const readJSON = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'events', file), 'utf8'));
+    const name = eventName || readJSON('index.json').current;
+    if (!/^[\w-]+$/.test(name)) throw new Error(`Bad event name: ${name}`);
+
+    const event = readJSON(`${name}.json`);
+    for (const section of event.sections) {
+        const block = section.blocks.find(candidate => candidate.type === 'application');
+        if (block) return { event: event.name, config: block };
+    }
+    throw new Error(`events/${name}.json has no application block`);
+}
+
+// Submitting is open to pages served from somewhere else (e.g. another dev
+// server); reading the applications back is not
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// ===== HTTP =====
+function send(response, status, body, type = 'application/json; charset=utf-8', headers = CORS_HEADERS) {
+    response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store', ...headers });
+    response.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body, null, 2));
+}
+
+// Past MAX_BODY the rest is read and dropped rather than cut off, so the
+// client gets the 413 instead of a reset connection
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                request.removeListener('data', onData);
+                request.resume();
+                reject(Object.assign(new Error('Body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        request.on('data', onData);
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// Files under the repo only
+function serveStatic(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        send(response, 400, 'Bad path', 'text/plain');
+        return;
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+
+    const file = path.resolve(ROOT, `.${pathname}`);
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+        send(response, 403, 'Forbidden', 'text/plain');
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            send(response, 404, 'Not found', 'text/plain');
+            return;
+        }
+        send(response, 200, data, CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream', {});
+    });
+}
+
+// ===== APPLICATIONS =====
+function createHandler(options, { event, config }) {
+    const route = `/${config.endpoint.replace(/^\/+/, '')}`;
+    const applications = [];
+
+    const receive = (request, response) => readBody(request)
+        .then((text) => {
+            let application;
+            try {
+                application = JSON.parse(text);
+            } catch (error) {
+                send(response, 400, { problems: [{ field: null, message: 'Body is not JSON' }] });
+                return;
+            }
+            if (!application || typeof application !== 'object' || Array.isArray(application)) {
+                send(response, 400, { problems: [{ field: null, message: 'Body is not an application' }] });
+                return;
+            }
+
+            const result = validateApplication(application, config);
+            if (!result.valid) {
+                console.log(`Rejected "${application.teamName}": ${result.problems.map(p => p.message).join('; ')}`);
+                send(response, 422, { problems: result.problems });
+                return;
+            }
+
+            const id = `XF-${String(applications.length + 1).padStart(3, '0')}`;
+            applications.push({ ...application, id, event, receivedAt: new Date().toISOString() });
+            console.log(`Received ${id}: "${application.teamName}" (${application.track}, ` +
+                `${application.members.length} members)`);
+            send(response, 201, { id });
+        })
+        .catch((error) => {
+            if (response.headersSent) return;
+            if (error.status !== 413) console.error('Could not handle the application:', error);
+            send(response, error.status || 500, {
+                problems: [{ field: null, message: error.status ? error.message : 'Server error' }]
+            }, undefined, { ...CORS_HEADERS, Connection: 'close' });
+        });
+
+    return (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname !== route) {
+            if (request.method === 'GET' || request.method === 'HEAD') serveStatic(request, response);
+            else send(response, 405, 'Method not allowed', 'text/plain');
+            return;
+        }
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204, '');
+        } else if (request.method === 'GET') {
+            send(response, 200, applications, undefined, {});
+        } else if (request.method === 'POST') {
+            setTimeout(() => {
+                if (options.fail) send(response, 503, { problems: [{ field: null, message: 'Mock server set to --fail' }] });
+                else receive(request, response);
+            }, options.delay);
+        } else {
+            send(response, 405, 'Method not allowed', 'text/plain');
+        }
+    };
+}
+
+// ===== MAIN =====
+function main() {
+    let options;
+    let application;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        application = readApplicationConfig(options.event);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const server = http.createServer(createHandler(options, application));
+    server.listen(options.port, '127.0.0.1', () => {
+        console.log(`${application.event}: http://localhost:${options.port}/`);
+        console.log(`Applications: POST/GET /${application.config.endpoint.replace(/^\/+/, '')}`);
+    });
+}
+
+main();
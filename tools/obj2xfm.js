@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * Xflow AI Hackathon 2026 - OBJ -> XFM converter
+ *
+ * Converts Blender/Rhino OBJ exports into the compact binary mesh format read
+ * by XFMLoader (xfm-loader.js): indexed triangles, positions quantized to
+ * 16 bits over the model bounds, normals to 8 bits. UVs are dropped (the
+ * engines never texture). One mesh per `usemtl` material.
+ *
+ * Usage:
+ *   node tools/obj2xfm.js "obj files/Trophy.obj" [more.obj ...] [--triangles 20000] [--out dir]
+ *
+ * --triangles N  decimate each model to at most N triangles (vertex clustering)
+ * --out dir      write next to the inputs by default
+ *
+ * File layout (little-endian, every block padded to 4 bytes):
+ *   header   "XFM1", uint16 version, uint16 meshCount, float32 min[3], float32 max[3]
+ *   libs     uint32 length, `mtllib` file names joined by "\n" (UTF-8)   [version 2+]
+ *   per mesh uint32 vertexCount, uint32 indexCount, uint32 nameLength, name (UTF-8)
+ *   per mesh uint16 position[vertexCount * 3], int8 normal[vertexCount * 3],
+ *            uint16|uint32 index[indexCount] (uint32 when vertexCount > 65535)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VERSION = 2;
+
+// ===== OBJ PARSING =====
+// -> [{ name, positions: number[], normals: number[], indices: number[] }],
+// with the `mtllib` names as .materialLibraries (like THREE.OBJLoader)
+function parseOBJ(text) {
+    const materialLibraries = [];
+    const vertices = [];
+    const normals = [];
+    const meshes = new Map();
+    let current = null;
+
+    const useMaterial = (name) => {
+        if (!meshes.has(name)) {
+            meshes.set(name, { name, positions: [], normals: [], indices: [], lookup: new Map() });
+        }
+        current = meshes.get(name);
+    };
+
+    // Vertex shared by (position, normal); faces without normals get their
+    // flat face normal, matching what THREE.OBJLoader renders
+    const addVertex = (mesh, v, n, faceNormal) => {
+        const normal = n !== undefined ? normals[n] : faceNormal;
+        const key = n !== undefined
+            ? `${v}/${n}`
+            : `${v}/${normal.map(c => Math.round(c * 1000)).join(',')}`;
+
+        let index = mesh.lookup.get(key);
+        if (index === undefined) {
+            index = mesh.positions.length / 3;
+            mesh.positions.push(...vertices[v]);
+            mesh.normals.push(...normal);
+            mesh.lookup.set(key, index);
+        }
+        return index;
+    };
+
+    const resolve = (value, count) => {
+        const index = parseInt(value, 10);
+        return index < 0 ? count + index : index - 1;
+    };
+
+    useMaterial('default');
+
+    text.split('\n').forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line || line[0] === '#') return;
+
+        const parts = line.split(/\s+/);
+        switch (parts[0]) {
+            case 'v':
+                vertices.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+            case 'vn':
+                normals.push(normalize([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]));
+                break;
+            case 'usemtl':
+                useMaterial(parts.slice(1).join(' '));
+                break;
+            case 'mtllib':
+                materialLibraries.push(parts.slice(1).join(' '));
+                break;
+            case 'f': {
+                const corners = parts.slice(1).map((corner) => {
+                    const [v, , n] = corner.split('/');
+                    return {
+                        v: resolve(v, vertices.length),
+                        n: n ? resolve(n, normals.length) : undefined
+                    };
+                });
+
+                // Triangle fan, like OBJLoader
+                for (let i = 1; i < corners.length - 1; i++) {
+                    const tri = [corners[0], corners[i], corners[i + 1]];
+                    const faceNormal = tri.some(c => c.n === undefined)
+                        ? triangleNormal(vertices[tri[0].v], vertices[tri[1].v], vertices[tri[2].v])
+                        : null;
+                    tri.forEach(c => current.indices.push(addVertex(current, c.v, c.n, faceNormal)));
+                }
+                break;
+            }
+            default:
+                break; // o, g, s, vt: not needed
+        }
+    });
+
+    const result = Array.from(meshes.values())
+        .filter(mesh => mesh.indices.length > 0)
+        .map(({ name, positions, normals: meshNormals, indices }) => ({
+            name, positions, normals: meshNormals, indices
+        }));
+    result.materialLibraries = materialLibraries;
+    return result;
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function triangleNormal(a, b, c) {
+    const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return normalize([
+        ab[1] * ac[2] - ab[2] * ac[1],
+        ab[2] * ac[0] - ab[0] * ac[2],
+        ab[0] * ac[1] - ab[1] * ac[0]
+    ]);
+}
+
+// ===== DECIMATION =====
+// Vertex clustering: snap vertices to a grid, merge each cell into one
+// vertex, drop triangles that collapse. Normals are bucketed too so hard
+// edges survive. The grid is refined until the mesh fits the budget; if
+// even the coarsest grid doesn't, that result is returned and the caller
+// checks its size.
+function decimate(mesh, bounds, maxTriangles) {
+    if (mesh.indices.length / 3 <= maxTriangles) return mesh;
+
+    let low = 4;
+    let high = 1024;
+    let best = null;
+
+    while (low <= high) {
+        const resolution = Math.floor((low + high) / 2);
+        const result = cluster(mesh, bounds, resolution);
+        if (result.indices.length / 3 <= maxTriangles) {
+            best = result;
+            low = resolution + 1;
+        } else {
+            high = resolution - 1;
+        }
+    }
+
+    return best || cluster(mesh, bounds, 4);
+}
+
+function cluster(mesh, bounds, resolution) {
+    const size = bounds.max.map((max, axis) => (max - bounds.min[axis]) || 1);
+    const clusters = new Map();
+    const remap = new Array(mesh.positions.length / 3);
+
+    for (let i = 0; i < remap.length; i++) {
+        const cell = [0, 1, 2].map(axis =>
+            Math.min(resolution - 1, Math.floor((mesh.positions[i * 3 + axis] - bounds.min[axis]) / size[axis] * resolution))
+        );
+        const normalBucket = [0, 1, 2].map(axis => Math.round(mesh.normals[i * 3 + axis] * 2));
+        const key = `${cell.join(',')}|${normalBucket.join(',')}`;
+
+        let entry = clusters.get(key);
+        if (!entry) {
+            entry = { index: clusters.size, position: [0, 0, 0], normal: [0, 0, 0], count: 0 };
+            clusters.set(key, entry);
+        }
+        for (let axis = 0; axis < 3; axis++) {
+            entry.position[axis] += mesh.positions[i * 3 + axis];
+            entry.normal[axis] += mesh.normals[i * 3 + axis];
+        }
+        entry.count++;
+        remap[i] = entry.index;
+    }
+
+    const positions = [];
+    const normals = [];
+    clusters.forEach((entry) => {
+        positions.push(...entry.position.map(c => c / entry.count));
+        normals.push(...normalize(entry.normal));
+    });
+
+    const indices = [];
+    const seen = new Set();
+    for (let i = 0; i < mesh.indices.length; i += 3) {
+        const a = remap[mesh.indices[i]];
+        const b = remap[mesh.indices[i + 1]];
+        const c = remap[mesh.indices[i + 2]];
+        if (a === b || b === c || a === c) continue;
+
+        const key = [a, b, c].sort((x, y) => x - y).join(',');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        indices.push(a, b, c);
+    }
+
+    return compact({ name: mesh.name, positions, normals, indices });
+}
+
+// Drop vertices no triangle uses any more
+function compact(mesh) {
+    const remap = new Map();
+    const positions = [];
+    const normals = [];
+    const indices = mesh.indices.map((index) => {
+        if (!remap.has(index)) {
+            remap.set(index, positions.length / 3);
+            positions.push(...mesh.positions.slice(index * 3, index * 3 + 3));
+            normals.push(...mesh.normals.slice(index * 3, index * 3 + 3));
+        }
+        return remap.get(index);
+    });
+    return { name: mesh.name, positions, normals, indices };
+}
+
+// ===== ENCODING =====
+function computeBounds(meshes) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    meshes.forEach((mesh) => {
+        for (let i = 0; i < mesh.positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], mesh.positions[i + axis]);
+                max[axis] = Math.max(max[axis], mesh.positions[i + axis]);
+            }
+        }
+    });
+    return { min, max };
+}
+
+const pad4 = n => (n + 3) & ~3;
+
+function encode(meshes, bounds, materialLibraries = []) {
+    const names = meshes.map(mesh => Buffer.from(mesh.name, 'utf8'));
+    const libraries = Buffer.from(materialLibraries.join('\n'), 'utf8');
+    let size = 32 + 4 + pad4(libraries.length);
+    meshes.forEach((mesh, i) => {
+        size += 12 + pad4(names[i].length);
+    });
+    meshes.forEach((mesh) => {
+        const vertexCount = mesh.positions.length / 3;
+        size += pad4(vertexCount * 6) + pad4(vertexCount * 3);
+        size += pad4(mesh.indices.length * (vertexCount > 65535 ? 4 : 2));
+    });
+
+    const buffer = Buffer.alloc(size);
+    let offset = 0;
+
+    buffer.write('XFM1', 0, 'ascii');
+    buffer.writeUInt16LE(VERSION, 4);
+    buffer.writeUInt16LE(meshes.length, 6);
+    for (let axis = 0; axis < 3; axis++) {
+        buffer.writeFloatLE(bounds.min[axis], 8 + axis * 4);
+        buffer.writeFloatLE(bounds.max[axis], 20 + axis * 4);
+    }
+    offset = 32;
+
+    buffer.writeUInt32LE(libraries.length, offset);
+    libraries.copy(buffer, offset + 4);
+    offset += 4 + pad4(libraries.length);
+
+    meshes.forEach((mesh, i) => {
+        buffer.writeUInt32LE(mesh.positions.length / 3, offset);
+        buffer.writeUInt32LE(mesh.indices.length, offset + 4);
+        buffer.writeUInt32LE(names[i].length, offset + 8);
+        names[i].copy(buffer, offset + 12);
+        offset += 12 + pad4(names[i].length);
+    });
+
+    const range = bounds.max.map((max, axis) => (max - bounds.min[axis]) || 1);
+
+    meshes.forEach((mesh) => {
+        const vertexCount = mesh.positions.length / 3;
+
+        for (let i = 0; i < mesh.positions.length; i++) {
+            const axis = i % 3;
+            const t = (mesh.positions[i] - bounds.min[axis]) / range[axis];
+            buffer.writeUInt16LE(Math.round(t * 65535), offset + i * 2);
+        }
+        offset += pad4(vertexCount * 6);
+
+        for (let i = 0; i < mesh.normals.length; i++) {
+            buffer.writeInt8(Math.round(mesh.normals[i] * 127), offset + i);
+        }
+        offset += pad4(vertexCount * 3);
+
+        const wide = vertexCount > 65535;
+        mesh.indices.forEach((index, i) => {
+            if (wide) buffer.writeUInt32LE(index, offset + i * 4);
+            else buffer.writeUInt16LE(index, offset + i * 2);
+        });
+        offset += pad4(mesh.indices.length * (wide ? 4 : 2));
+    });
+
+    return buffer;
+}
+
+// ===== CLI =====
+function main(argv) {
+    const inputs = [];
+    let maxTriangles = Infinity;
+    let outDir = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--triangles') maxTriangles = parseInt(argv[++i], 10);
+        else if (argv[i] === '--out') outDir = argv[++i];
+        else inputs.push(argv[i]);
+    }
+
+    if (inputs.length === 0 || !(maxTriangles > 0)) {
+        console.error('Usage: node tools/obj2xfm.js <model.obj ...> [--triangles N] [--out dir]');
+        process.exit(1);
+    }
+
+    inputs.forEach((input) => {
+        let meshes = parseOBJ(fs.readFileSync(input, 'utf8'));
+        // Only libraries that exist next to the model, so the browser never asks for a missing one
+        const materialLibraries = meshes.materialLibraries.filter((library) => {
+            if (fs.existsSync(path.join(path.dirname(input), library))) return true;
+            console.warn(`${input}: ${library} not found, leaving it out`);
+            return false;
+        });
+        const bounds = computeBounds(meshes);
+        const before = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+
+        if (Number.isFinite(maxTriangles)) {
+            // Split the budget across meshes by their share of triangles
+            meshes = meshes.map(mesh =>
+                decimate(mesh, bounds, Math.max(1, Math.floor(maxTriangles * (mesh.indices.length / 3) / before)))
+            );
+        }
+
+        const decimated = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+        if (decimated > maxTriangles) {
+            console.error(`${input}: ${decimated} triangles after decimating, over the budget of ${maxTriangles}; not written`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const dir = outDir || path.dirname(input);
+        fs.mkdirSync(dir, { recursive: true });
+        const output = path.join(dir, path.basename(input, path.extname(input)) + '.xfm');
+        const buffer = encode(meshes, bounds, materialLibraries);
+        fs.writeFileSync(output, buffer);
+
+        const inputSize = fs.statSync(input).size;
+        console.log(`${input} -> ${output}: ${decimated}/${before} triangles, ` +
+            `${(inputSize / 1024).toFixed(0)} KB -> ${(buffer.length / 1024).toFixed(0)} KB`);
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { parseOBJ, decimate, encode, computeBounds };
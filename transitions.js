@@ -0,0 +1,112 @@
+/**
+ * Xflow AI Hackathon 2026 - Model Transitions
+ *
+ * ASCII_TRANSITIONS: Mixers that blend two downsampled frames cell by cell
+ * ASCIITransition: Renders the outgoing and incoming model each ASCII frame
+ * and converts the mix, so a model swap happens in character space
+ * disposeModel: Frees a model's GPU geometry and materials once it is swapped out
+ */
+
+// ===== MIXERS =====
+// (from, to, t, noise, out): RGBA cells of both models -> out. noise holds
+// one stable random number per cell, so cells keep their turn in the order.
+const ASCII_TRANSITIONS = {
+    // Cells switch to the new model one at a time, in random order
+    dissolve(from, to, t, noise, out) {
+        for (let i = 0, p = 0; i < noise.length; i++, p += 4) {
+            const source = noise[i] < t ? to : from;
+            out[p] = source[p];
+            out[p + 1] = source[p + 1];
+            out[p + 2] = source[p + 2];
+            out[p + 3] = source[p + 3];
+        }
+    },
+
+    // Like dissolve, but each cell flickers through random glyphs for a while
+    // before it settles on the new model
+    scramble(from, to, t, noise, out) {
+        const band = 0.3; // Share of the transition a cell spends scrambling
+        const settled = t * (1 + band) - band;
+        const started = t * (1 + band);
+
+        for (let i = 0, p = 0; i < noise.length; i++, p += 4) {
+            if (noise[i] < settled || noise[i] >= started) {
+                const source = noise[i] < settled ? to : from;
+                out[p] = source[p];
+                out[p + 1] = source[p + 1];
+                out[p + 2] = source[p + 2];
+                out[p + 3] = source[p + 3];
+            } else {
+                const value = Math.random() * 255; // Random brightness = random glyph
+                out[p] = value;
+                out[p + 1] = value;
+                out[p + 2] = value;
+                out[p + 3] = 255;
+            }
+        }
+    },
+
+    // Blend the two brightness fields; glyphs follow the mixed brightness
+    crossfade(from, to, t, noise, out) {
+        for (let p = 0; p < out.length; p++) {
+            out[p] = from[p] + (to[p] - from[p]) * t;
+        }
+    }
+};
+
+// ===== TRANSITION =====
+class ASCIITransition {
+    // from / to: Object3Ds in the same scene; type: an ASCII_TRANSITIONS name
+    constructor(from, to, type = 'dissolve', duration = 900) {
+        this.from = from;
+        this.to = to;
+        this.mix = ASCII_TRANSITIONS[type] || ASCII_TRANSITIONS.dissolve;
+        this.duration = duration;
+        this.start = performance.now();
+        this.noise = null;
+    }
+
+    progress() {
+        return Math.min(1, (performance.now() - this.start) / this.duration);
+    }
+
+    get done() {
+        return this.progress() >= 1;
+    }
+
+    // render() draws the scene and returns its source rect (SharedRenderer.render)
+    frame(pipeline, render, cols, rows) {
+        const t = this.progress();
+        if (!this.noise || this.noise.length !== cols * rows) {
+            this.noise = new Float32Array(cols * rows);
+            for (let i = 0; i < this.noise.length; i++) this.noise[i] = Math.random();
+        }
+
+        this.from.visible = true;
+        this.to.visible = false;
+        const fromData = pipeline.sample(render(), cols, rows);
+
+        this.from.visible = false;
+        this.to.visible = true;
+        const toData = pipeline.sample(render(), cols, rows);
+
+        const mixed = new Uint8ClampedArray(fromData.length);
+        this.mix(fromData, toData, t, this.noise, mixed);
+
+        // Whichever model dominates stays visible for anything drawn directly
+        this.from.visible = t < 0.5;
+        this.to.visible = t >= 0.5;
+
+        return pipeline.convertData(mixed, cols, rows);
+    }
+}
+
+// A swapped-out model is never shown again, so its GPU buffers can go
+function disposeModel(object) {
+    object.traverse((child) => {
+        if (!(child instanceof THREE.Mesh)) return;
+        child.geometry.dispose();
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => material.dispose());
+    });
+}
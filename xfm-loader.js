@@ -0,0 +1,165 @@
+/**
+ * Xflow AI Hackathon 2026 - Model Loading
+ *
+ * XFMLoader: Reads the binary meshes written by tools/obj2xfm.js
+ * decodeXFM: The same meshes as plain typed arrays
+ * loadModelFile: Loads .xfm or .obj by extension, falling back to the OBJ export
+ * loadMaterialLibraries: Loads the MTL files a model names
+ */
+
+// ===== XFM LOADER =====
+// Same load()/parse() shape as THREE.OBJLoader, so engines can use either.
+// Blocks are 4-byte aligned, so typed arrays view the buffer directly
+// (little-endian, like every browser platform).
+class XFMLoader {
+    load(url, onLoad, onProgress, onError) {
+        const loader = new THREE.FileLoader();
+        loader.setResponseType('arraybuffer');
+        loader.load(url, (buffer) => {
+            let object;
+            try {
+                object = this.parse(buffer);
+            } catch (error) {
+                if (onError) onError(error);
+                return;
+            }
+            onLoad(object);
+        }, onProgress, onError);
+    }
+
+    parse(buffer) {
+        const { materialLibraries, meshes } = decodeXFM(buffer);
+        const group = new THREE.Group();
+        group.materialLibraries = materialLibraries; // Same as OBJLoader's `mtllib` list
+
+        meshes.forEach(({ name, positions, normals, indices }) => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3, true));
+            geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+            // Placeholder like OBJLoader's; engines assign their own materials
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({ name }));
+            mesh.name = name;
+            group.add(mesh);
+        });
+
+        return group;
+    }
+}
+
+// ArrayBuffer -> { materialLibraries, meshes: [{ name, positions (Float32Array),
+// normals (Int8Array, -127..127), indices (Uint16Array | Uint32Array) }] }.
+// Plain arrays, no Three.js, so tools/ascii-render.js reads models the same way.
+function decodeXFM(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (magic !== 'XFM1') {
+        throw new Error('Not an XFM model');
+    }
+
+    const version = view.getUint16(4, true);
+    const meshCount = view.getUint16(6, true);
+    const min = [0, 1, 2].map(axis => view.getFloat32(8 + axis * 4, true));
+    const max = [0, 1, 2].map(axis => view.getFloat32(20 + axis * 4, true));
+    const range = max.map((value, axis) => (value - min[axis]) || 1);
+    const pad4 = n => (n + 3) & ~3;
+
+    let offset = 32;
+    let materialLibraries = [];
+    if (version >= 2) {
+        const length = view.getUint32(offset, true);
+        const names = new TextDecoder().decode(new Uint8Array(buffer, offset + 4, length));
+        materialLibraries = names ? names.split('\n') : [];
+        offset += 4 + pad4(length);
+    }
+
+    const entries = [];
+    for (let i = 0; i < meshCount; i++) {
+        const vertexCount = view.getUint32(offset, true);
+        const indexCount = view.getUint32(offset + 4, true);
+        const nameLength = view.getUint32(offset + 8, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 12, nameLength));
+        entries.push({ vertexCount, indexCount, name });
+        offset += 12 + pad4(nameLength);
+    }
+
+    const meshes = entries.map(({ vertexCount, indexCount, name }) => {
+        const quantized = new Uint16Array(buffer, offset, vertexCount * 3);
+        const positions = new Float32Array(vertexCount * 3);
+        for (let i = 0; i < positions.length; i++) {
+            const axis = i % 3;
+            positions[i] = min[axis] + (quantized[i] / 65535) * range[axis];
+        }
+        offset += pad4(vertexCount * 6);
+
+        const normals = new Int8Array(buffer, offset, vertexCount * 3);
+        offset += pad4(vertexCount * 3);
+
+        const wide = vertexCount > 65535;
+        const indices = wide
+            ? new Uint32Array(buffer, offset, indexCount)
+            : new Uint16Array(buffer, offset, indexCount);
+        offset += pad4(indexCount * (wide ? 4 : 2));
+
+        return { name, positions, normals, indices };
+    });
+
+    return { materialLibraries, meshes };
+}
+
+// ===== MODEL FILE LOADING =====
+// .xfm goes through XFMLoader; if that fails (missing file, old browser) the
+// OBJ export with the same name is loaded instead. Anything else is an OBJ.
+function loadModelFile(path, onLoad, onProgress, onError) {
+    const loadOBJ = (objPath) => {
+        if (typeof THREE.OBJLoader === 'undefined') {
+            onError(new Error('OBJLoader not available'));
+            return;
+        }
+        new THREE.OBJLoader().load(objPath, onLoad, onProgress, onError);
+    };
+
+    if (!/\.xfm$/i.test(path)) {
+        loadOBJ(path);
+        return;
+    }
+
+    new XFMLoader().load(path, onLoad, onProgress, (error) => {
+        console.warn(`Could not load ${path}, falling back to OBJ:`, error);
+        loadOBJ(path.replace(/\.xfm$/i, '.obj'));
+    });
+}
+
+// ===== MATERIAL LIBRARIES =====
+// Resolves to Map(material name -> THREE.Material) from the `mtllib` files
+// the model references, relative to the model. Libraries that fail to load
+// (or a missing MTLLoader) just leave their names out.
+function loadMaterialLibraries(object, modelPath) {
+    const libraries = object.materialLibraries || [];
+    if (libraries.length === 0 || typeof THREE.MTLLoader === 'undefined') {
+        return Promise.resolve(new Map());
+    }
+
+    const basePath = modelPath.slice(0, modelPath.lastIndexOf('/') + 1);
+
+    return Promise.all(libraries.map(library => new Promise((resolve) => {
+        const loader = new THREE.MTLLoader();
+        loader.setPath(basePath);
+        loader.load(library, (creator) => {
+            creator.preload();
+            resolve(creator.materials);
+        }, undefined, () => resolve({}));
+    }))).then((results) => {
+        const materials = new Map();
+        results.forEach((result) => {
+            Object.keys(result).forEach(name => materials.set(name, result[name]));
+        });
+        return materials;
+    });
+}
+
+// tools/ascii-render.js reads .xfm models with the same decoder
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { decodeXFM };
+}